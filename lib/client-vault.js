@@ -0,0 +1,47 @@
+/**
+ * Zero-knowledge vault helpers
+ *
+ * In client vault mode the browser derives an AES-GCM key from the user's
+ * password (PBKDF2, parameters stored on the user) and encrypts OTP secrets
+ * before they are sent. The server only ever sees values of the form
+ * zk:v1:<base64 iv>:<base64 ciphertext>.
+ */
+
+const VaultMode = {
+  SERVER: 'server',
+  CLIENT: 'client'
+};
+
+const VAULT_KDF = {
+  algorithm: 'PBKDF2',
+  hash: 'SHA-256',
+  minIterations: 100000,
+  defaultIterations: 600000
+};
+
+const CLIENT_CIPHERTEXT_PATTERN = /^zk:v1:[A-Za-z0-9+/]+={0,2}:[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Whether a value looks like a browser-encrypted vault ciphertext
+ * @param {string} value - Value received from the client
+ * @returns {boolean}
+ */
+function isClientCiphertext(value) {
+  return typeof value === 'string' && value.length <= 4096 && CLIENT_CIPHERTEXT_PATTERN.test(value);
+}
+
+/**
+ * Whether a user keeps OTP secrets encrypted client-side
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+function isClientVault(user) {
+  return Boolean(user && user.vault && user.vault.mode === VaultMode.CLIENT);
+}
+
+module.exports = {
+  VaultMode,
+  VAULT_KDF,
+  isClientCiphertext,
+  isClientVault
+};
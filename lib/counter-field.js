@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const OTPGenerator = require('../services/otp-generator');
+
+/**
+ * Stored HOTP counters
+ *
+ * Counters run up to 2^64 - 1 (RFC 4226 section 5.1), more than a double
+ * holds exactly, so they are stored as Decimal128. Reading a counter gives
+ * the same form OTPGenerator returns: a number while it is a safe integer,
+ * otherwise a decimal string. Counters saved as plain numbers by older
+ * versions compare and increment the same way in MongoDB.
+ */
+
+// Largest counter, for query filters
+const MAX_COUNTER = '18446744073709551615';
+
+/**
+ * Convert a stored Decimal128 back to a counter
+ * @param {mongoose.Types.Decimal128|null} value - Stored value
+ * @returns {number|string|null} - Counter
+ */
+function fromDecimal(value) {
+  return value === null || value === undefined ? value : OTPGenerator.normalizeCounter(value.toString());
+}
+
+/**
+ * Schema type for a counter
+ * @param {Object} options - Extra schema options (default, ...)
+ * @returns {Object} - Schema type definition
+ */
+function counterField(options = {}) {
+  return {
+    type: mongoose.Schema.Types.Decimal128,
+    get: fromDecimal,
+    validate: {
+      validator: value => value === null || OTPGenerator.isValidCounter(value.toString()),
+      message: 'Counter must be an integer from 0 to 2^64 - 1'
+    },
+    ...options
+  };
+}
+
+module.exports = {
+  MAX_COUNTER,
+  counterField
+};
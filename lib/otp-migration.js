@@ -0,0 +1,481 @@
+const crypto = require('crypto');
+const OTPGenerator = require('../services/otp-generator');
+
+/**
+ * Google Authenticator "Transfer accounts" export format.
+ *
+ * otpauth-migration://offline?data=<base64 MigrationPayload protobuf>
+ *
+ * message MigrationPayload {
+ *   repeated OtpParameters otp_parameters = 1;
+ *   int32 version = 2;
+ *   int32 batch_size = 3;
+ *   int32 batch_index = 4;
+ *   int32 batch_id = 5;
+ * }
+ *
+ * message OtpParameters {
+ *   bytes secret = 1;
+ *   string name = 2;
+ *   string issuer = 3;
+ *   Algorithm algorithm = 4;
+ *   DigitCount digits = 5;
+ *   OtpType type = 6;
+ *   int64 counter = 7;
+ * }
+ */
+
+/**
+ * MigrationPayload.Algorithm enum
+ */
+const MigrationAlgorithm = {
+  UNSPECIFIED: 0,
+  SHA1: 1,
+  SHA256: 2,
+  SHA512: 3,
+  MD5: 4
+};
+
+/**
+ * MigrationPayload.DigitCount enum
+ */
+const MigrationDigitCount = {
+  UNSPECIFIED: 0,
+  SIX: 1,
+  EIGHT: 2
+};
+
+/**
+ * MigrationPayload.OtpType enum
+ */
+const MigrationOtpType = {
+  UNSPECIFIED: 0,
+  HOTP: 1,
+  TOTP: 2
+};
+
+// Protobuf wire types
+const WIRE_VARINT = 0;
+const WIRE_64BIT = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_32BIT = 5;
+
+/**
+ * Minimal protobuf reader for the handful of wire types the payload uses
+ */
+class ProtobufReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.pos = 0;
+  }
+
+  get done() {
+    return this.pos >= this.buffer.length;
+  }
+
+  readVarint() {
+    let result = 0n;
+    let shift = 0n;
+
+    while (true) {
+      if (this.pos >= this.buffer.length) {
+        throw new Error('Truncated varint in migration payload');
+      }
+      const byte = this.buffer[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) {
+        return result;
+      }
+      shift += 7n;
+      if (shift > 63n) {
+        throw new Error('Varint too long in migration payload');
+      }
+    }
+  }
+
+  readBytes() {
+    const length = Number(this.readVarint());
+    if (this.pos + length > this.buffer.length) {
+      throw new Error('Truncated field in migration payload');
+    }
+    const bytes = this.buffer.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return bytes;
+  }
+
+  readTag() {
+    const tag = Number(this.readVarint());
+    return { field: tag >>> 3, wireType: tag & 0x07 };
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case WIRE_VARINT:
+        this.readVarint();
+        break;
+      case WIRE_64BIT:
+        this.pos += 8;
+        break;
+      case WIRE_LENGTH_DELIMITED:
+        this.readBytes();
+        break;
+      case WIRE_32BIT:
+        this.pos += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type: ${wireType}`);
+    }
+  }
+}
+
+/**
+ * Minimal protobuf writer mirroring ProtobufReader
+ */
+class ProtobufWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  writeVarint(value) {
+    let remaining = BigInt.asUintN(64, BigInt(value));
+    const bytes = [];
+
+    do {
+      let byte = Number(remaining & 0x7fn);
+      remaining >>= 7n;
+      if (remaining > 0n) {
+        byte |= 0x80;
+      }
+      bytes.push(byte);
+    } while (remaining > 0n);
+
+    this.chunks.push(Buffer.from(bytes));
+  }
+
+  writeTag(field, wireType) {
+    this.writeVarint((field << 3) | wireType);
+  }
+
+  writeVarintField(field, value) {
+    this.writeTag(field, WIRE_VARINT);
+    this.writeVarint(value);
+  }
+
+  writeBytesField(field, bytes) {
+    this.writeTag(field, WIRE_LENGTH_DELIMITED);
+    this.writeVarint(bytes.length);
+    this.chunks.push(Buffer.from(bytes));
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Decode a single OtpParameters message
+ * @param {Buffer} buffer - Encoded OtpParameters
+ * @returns {Object} - Raw OTP parameters
+ */
+function decodeOtpParameters(buffer) {
+  const reader = new ProtobufReader(buffer);
+  const params = {
+    secret: Buffer.alloc(0),
+    name: '',
+    issuer: '',
+    algorithm: MigrationAlgorithm.UNSPECIFIED,
+    digits: MigrationDigitCount.UNSPECIFIED,
+    type: MigrationOtpType.UNSPECIFIED,
+    counter: 0
+  };
+
+  while (!reader.done) {
+    const { field, wireType } = reader.readTag();
+
+    if (field === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      params.secret = Buffer.from(reader.readBytes());
+    } else if (field === 2 && wireType === WIRE_LENGTH_DELIMITED) {
+      params.name = reader.readBytes().toString('utf8');
+    } else if (field === 3 && wireType === WIRE_LENGTH_DELIMITED) {
+      params.issuer = reader.readBytes().toString('utf8');
+    } else if (field === 4 && wireType === WIRE_VARINT) {
+      params.algorithm = Number(reader.readVarint());
+    } else if (field === 5 && wireType === WIRE_VARINT) {
+      params.digits = Number(reader.readVarint());
+    } else if (field === 6 && wireType === WIRE_VARINT) {
+      params.type = Number(reader.readVarint());
+    } else if (field === 7 && wireType === WIRE_VARINT) {
+      params.counter = OTPGenerator.normalizeCounter(reader.readVarint());
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Decode a MigrationPayload protobuf message
+ * @param {Buffer} buffer - Encoded MigrationPayload
+ * @returns {Object} - Decoded payload with raw OTP parameters
+ */
+function decodeMigrationPayload(buffer) {
+  const reader = new ProtobufReader(buffer);
+  const payload = {
+    otpParameters: [],
+    version: 0,
+    batchSize: 0,
+    batchIndex: 0,
+    batchId: 0
+  };
+
+  while (!reader.done) {
+    const { field, wireType } = reader.readTag();
+
+    if (field === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      payload.otpParameters.push(decodeOtpParameters(reader.readBytes()));
+    } else if (field === 2 && wireType === WIRE_VARINT) {
+      payload.version = Number(BigInt.asIntN(32, reader.readVarint()));
+    } else if (field === 3 && wireType === WIRE_VARINT) {
+      payload.batchSize = Number(BigInt.asIntN(32, reader.readVarint()));
+    } else if (field === 4 && wireType === WIRE_VARINT) {
+      payload.batchIndex = Number(BigInt.asIntN(32, reader.readVarint()));
+    } else if (field === 5 && wireType === WIRE_VARINT) {
+      payload.batchId = Number(BigInt.asIntN(32, reader.readVarint()));
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Encode a single OtpParameters message
+ * @param {Object} params - Raw OTP parameters
+ * @returns {Buffer} - Encoded OtpParameters
+ */
+function encodeOtpParameters(params) {
+  const writer = new ProtobufWriter();
+
+  writer.writeBytesField(1, params.secret);
+  writer.writeBytesField(2, Buffer.from(params.name || '', 'utf8'));
+  if (params.issuer) {
+    writer.writeBytesField(3, Buffer.from(params.issuer, 'utf8'));
+  }
+  writer.writeVarintField(4, params.algorithm);
+  writer.writeVarintField(5, params.digits);
+  writer.writeVarintField(6, params.type);
+  if (params.counter) {
+    writer.writeVarintField(7, params.counter);
+  }
+
+  return writer.toBuffer();
+}
+
+/**
+ * Encode a MigrationPayload protobuf message
+ * @param {Object} payload - Payload with raw OTP parameters and batch info
+ * @returns {Buffer} - Encoded MigrationPayload
+ */
+function encodeMigrationPayload(payload) {
+  const writer = new ProtobufWriter();
+
+  payload.otpParameters.forEach((params) => {
+    writer.writeBytesField(1, encodeOtpParameters(params));
+  });
+  writer.writeVarintField(2, payload.version || 1);
+  writer.writeVarintField(3, payload.batchSize || 1);
+  writer.writeVarintField(4, payload.batchIndex || 0);
+  writer.writeVarintField(5, payload.batchId || 0);
+
+  return writer.toBuffer();
+}
+
+/**
+ * Extract the base64 payload from an otpauth-migration:// URL
+ * @param {string} migrationUrl - The migration URL
+ * @returns {Buffer|null} - Raw protobuf bytes or null if missing
+ */
+function extractMigrationData(migrationUrl) {
+  const match = migrationUrl.match(/[?&]data=([^&#]*)/);
+  if (!match || !match[1]) {
+    return null;
+  }
+
+  // Some exporters leave '+' unescaped, which form decoding would turn into a space
+  const base64 = decodeURIComponent(match[1]).replace(/ /g, '+');
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Map raw OtpParameters onto the field names used by the OTP parser
+ * @param {Object} params - Decoded OtpParameters
+ * @returns {Object} - OTP fields (type, issuer, account, secret, ...) or an error
+ */
+function fromOtpParameters(params) {
+  let issuer = params.issuer || '';
+  let account = params.name || '';
+
+  // Names are usually exported as "Issuer:account"
+  if (issuer && account.startsWith(`${issuer}:`)) {
+    account = account.substring(issuer.length + 1).trim();
+  } else if (!issuer && account.indexOf(':') !== -1) {
+    const separator = account.indexOf(':');
+    issuer = account.substring(0, separator).trim();
+    account = account.substring(separator + 1).trim();
+  }
+
+  const fields = {
+    issuer: issuer,
+    account: account,
+    secret: OTPGenerator.bufferToBase32(params.secret),
+    counter: params.counter || 0
+  };
+
+  switch (params.type) {
+    case MigrationOtpType.HOTP:
+      fields.type = 'hotp';
+      break;
+    case MigrationOtpType.TOTP:
+    case MigrationOtpType.UNSPECIFIED:
+      fields.type = 'totp';
+      break;
+    default:
+      return { ...fields, error: `Unsupported OTP type in migration payload: ${params.type}` };
+  }
+
+  switch (params.algorithm) {
+    case MigrationAlgorithm.SHA1:
+    case MigrationAlgorithm.UNSPECIFIED:
+      fields.algorithm = 'SHA1';
+      break;
+    case MigrationAlgorithm.SHA256:
+      fields.algorithm = 'SHA256';
+      break;
+    case MigrationAlgorithm.SHA512:
+      fields.algorithm = 'SHA512';
+      break;
+    default:
+      return { ...fields, error: `Unsupported algorithm in migration payload: ${params.algorithm}` };
+  }
+
+  switch (params.digits) {
+    case MigrationDigitCount.SIX:
+    case MigrationDigitCount.UNSPECIFIED:
+      fields.digits = 6;
+      break;
+    case MigrationDigitCount.EIGHT:
+      fields.digits = 8;
+      break;
+    default:
+      return { ...fields, error: `Unsupported digit count in migration payload: ${params.digits}` };
+  }
+
+  if (params.secret.length === 0) {
+    return { ...fields, error: 'Missing secret in migration payload' };
+  }
+
+  return fields;
+}
+
+/**
+ * Map OTP fields onto raw OtpParameters (inverse of fromOtpParameters)
+ * @param {Object} otpData - OTP fields (type, issuer, account, secret, ...)
+ * @returns {Object} - Raw OTP parameters or an error if the entry cannot be exported
+ */
+function toOtpParameters(otpData) {
+  const algorithms = {
+    SHA1: MigrationAlgorithm.SHA1,
+    SHA256: MigrationAlgorithm.SHA256,
+    SHA512: MigrationAlgorithm.SHA512
+  };
+  const digitCounts = {
+    6: MigrationDigitCount.SIX,
+    8: MigrationDigitCount.EIGHT
+  };
+
+  if (otpData.type !== 'totp' && otpData.type !== 'hotp') {
+    return { error: `OTP type ${otpData.type} cannot be exported to Google Authenticator` };
+  }
+
+  if (otpData.type === 'totp' && (otpData.period || 30) !== 30) {
+    return { error: `Period of ${otpData.period} seconds cannot be exported to Google Authenticator` };
+  }
+
+  const algorithm = algorithms[otpData.algorithm || 'SHA1'];
+  if (algorithm === undefined) {
+    return { error: `Algorithm ${otpData.algorithm} cannot be exported to Google Authenticator` };
+  }
+
+  const digits = digitCounts[otpData.digits || 6];
+  if (digits === undefined) {
+    return { error: `${otpData.digits}-digit codes cannot be exported to Google Authenticator` };
+  }
+
+  let secret;
+  try {
+    secret = OTPGenerator.base32ToBuffer(otpData.secret);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    secret: secret,
+    name: otpData.issuer ? `${otpData.issuer}:${otpData.account}` : otpData.account,
+    issuer: otpData.issuer || '',
+    algorithm: algorithm,
+    digits: digits,
+    type: otpData.type === 'hotp' ? MigrationOtpType.HOTP : MigrationOtpType.TOTP,
+    counter: otpData.type === 'hotp' ? (otpData.counter || 0) : 0
+  };
+}
+
+/**
+ * Split OTP parameters into otpauth-migration:// URLs of at most batchSize accounts
+ * @param {Array} otpParameters - Raw OTP parameters (from toOtpParameters)
+ * @param {Object} options - batchSize and a stable seed for the batch id
+ * @returns {Array} - One { url, batchIndex, batchSize, batchId, count } per batch
+ */
+function buildMigrationUrls(otpParameters, options = {}) {
+  const perBatch = options.batchSize || 10;
+  const batchSize = Math.max(1, Math.ceil(otpParameters.length / perBatch));
+
+  // Google Authenticator uses batch_id to group the QR codes of one export
+  const seed = options.seed || crypto.randomBytes(16).toString('hex');
+  const batchId = crypto.createHash('sha256').update(seed).digest().readInt32BE(0);
+
+  const batches = [];
+  for (let batchIndex = 0; batchIndex < batchSize; batchIndex++) {
+    const slice = otpParameters.slice(batchIndex * perBatch, (batchIndex + 1) * perBatch);
+    const data = encodeMigrationPayload({
+      otpParameters: slice,
+      version: 1,
+      batchSize: batchSize,
+      batchIndex: batchIndex,
+      batchId: batchId
+    });
+
+    batches.push({
+      url: `otpauth-migration://offline?data=${encodeURIComponent(data.toString('base64'))}`,
+      batchIndex: batchIndex,
+      batchSize: batchSize,
+      batchId: batchId,
+      count: slice.length
+    });
+  }
+
+  return batches;
+}
+
+module.exports = {
+  decodeMigrationPayload,
+  encodeMigrationPayload,
+  extractMigrationData,
+  fromOtpParameters,
+  toOtpParameters,
+  buildMigrationUrls,
+  MigrationAlgorithm,
+  MigrationDigitCount,
+  MigrationOtpType
+};
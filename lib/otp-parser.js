@@ -1,4 +1,11 @@
 const { v4: uuidv4 } = require('uuid');
+const { parseOcraSuite } = require('./ocra');
+const OTPGenerator = require('../services/otp-generator');
+const {
+  decodeMigrationPayload,
+  extractMigrationData,
+  fromOtpParameters
+} = require('./otp-migration');
 
 /**
  * OTP Types supported
@@ -9,9 +16,57 @@ const OTPType = {
   BATTLE: 'battle',
   STEAM: 'steam',
   HEX: 'hex',
-  HHEX: 'hhex'
+  HHEX: 'hhex',
+  OCRA: 'ocra',
+  MOTP: 'motp',
+  YANDEX: 'yandex'
 };
 
+// otpauth:// URI types (the URL host) and the OTPType each one names
+const URI_TYPES = {
+  totp: OTPType.TOTP,
+  hotp: OTPType.HOTP,
+  ocra: OTPType.OCRA,
+  motp: OTPType.MOTP,
+  yaotp: OTPType.YANDEX
+};
+
+/**
+ * Machine-readable codes for URLs the parser rejects
+ */
+const OTPParseError = {
+  INVALID_URL: 'INVALID_URL',
+  UNSUPPORTED_SCHEME: 'UNSUPPORTED_SCHEME',
+  UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+  MISSING_LABEL: 'MISSING_LABEL',
+  MISSING_SECRET: 'MISSING_SECRET',
+  INVALID_SECRET: 'INVALID_SECRET',
+  UNSUPPORTED_ALGORITHM: 'UNSUPPORTED_ALGORITHM',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  DUPLICATE_PARAMETER: 'DUPLICATE_PARAMETER',
+  INVALID_MIGRATION: 'INVALID_MIGRATION'
+};
+
+// Parameters the parser interprets; anything else is kept in extraParameters
+const KNOWN_PARAMETERS = ['secret', 'issuer', 'algorithm', 'digits', 'period', 't0', 'counter', 'ocrasuite', 'pin_length'];
+
+// Vendor formats are recognised by a prefix on the secret
+const VENDOR_PREFIXES = [
+  { pattern: /^stm-/i, type: OTPType.STEAM },
+  { pattern: /^(blz|bliz)-/i, type: OTPType.BATTLE }
+];
+
+/**
+ * TOTP periods accepted everywhere: URL parsing, validation and the OTPEntry schema
+ */
+const PERIOD_RANGE = {
+  min: 1,
+  max: 3600
+};
+
+// PINs of mOTP and Yandex.Key tokens are mixed into every code
+const PIN_PATTERN = /^\d{4,16}$/;
+
 /**
  * OTP Algorithms supported
  */
@@ -20,211 +75,414 @@ const OTPAlgorithm = {
   SHA256: 'SHA256', 
   SHA512: 'SHA512',
   GOST3411_2012_256: 'GOST3411_2012_256',
-  GOST3411_2012_512: 'GOST3411_2012_512'
+  GOST3411_2012_512: 'GOST3411_2012_512',
+  MD5: 'MD5'
 };
 
 /**
  * Parse otpauth:// or otpauth-migration:// URLs
  * @param {string} otpUrl - The OTP URL from QR code
- * @returns {Object|null} - Parsed OTP data or null if invalid
+ * @returns {Object} - Parsed OTP data with valid: true, or { valid: false, error, code }
  */
 function parseOTPAuth(otpUrl) {
   if (!otpUrl || typeof otpUrl !== 'string') {
-    return null;
+    return parseFailure(OTPParseError.INVALID_URL, 'OTP URL must be a non-empty string', otpUrl);
   }
 
-  try {
-    // Handle otpauth-migration:// URLs (Google Authenticator export)
-    if (otpUrl.startsWith('otpauth-migration://')) {
-      return parseMigrationUrl(otpUrl);
-    }
+  const scheme = otpUrl.slice(0, otpUrl.indexOf(':') + 1).toLowerCase();
+  if (!scheme) {
+    return parseFailure(OTPParseError.INVALID_URL, 'Not a URL', otpUrl);
+  }
 
-    // Handle standard otpauth:// URLs
-    if (otpUrl.startsWith('otpauth://')) {
-      return parseStandardOTPUrl(otpUrl);
-    }
+  // Handle otpauth-migration:// URLs (Google Authenticator export)
+  if (scheme === 'otpauth-migration:') {
+    return parseMigrationUrl(otpUrl);
+  }
 
-    return null;
-  } catch (error) {
-    console.error('Error parsing OTP URL:', error);
-    return null;
+  // Handle standard otpauth:// URLs
+  if (scheme === 'otpauth:') {
+    return parseStandardOTPUrl(otpUrl);
   }
+
+  // mOTP apps use motp://label?secret=..., which puts the label where the host goes
+  if (scheme === 'motp:' && otpUrl.slice(scheme.length, scheme.length + 2) === '//') {
+    const result = parseStandardOTPUrl(`otpauth://motp/${otpUrl.slice('motp://'.length)}`);
+    result.originalUrl = otpUrl;
+    return result;
+  }
+
+  return parseFailure(OTPParseError.UNSUPPORTED_SCHEME, `Unsupported URL scheme: ${scheme}`, otpUrl);
 }
 
 /**
  * Parse standard otpauth:// URL
+ *
+ * Follows the Key Uri Format: otpauth://TYPE/LABEL?PARAMETERS, where LABEL is
+ * "issuer:account" or "account" percent-encoded as a URL path (so '+' is a
+ * literal plus) and PARAMETERS is a form-encoded query (so '+' is a space).
+ * The issuer parameter wins over a conflicting label prefix, with a warning.
+ *
  * @param {string} otpUrl - The otpauth:// URL
- * @returns {Object|null} - Parsed OTP data
+ * @returns {Object} - Parsed OTP data with valid: true, or { valid: false, error, code }
  */
 function parseStandardOTPUrl(otpUrl) {
+  let url;
   try {
-    // Extract the part after otpauth://
-    let uri = otpUrl.split('otpauth://')[1];
-    if (!uri) {
-      return null;
-    }
+    url = new URL(otpUrl);
+  } catch {
+    return parseFailure(OTPParseError.INVALID_URL, 'Malformed otpauth:// URL', otpUrl);
+  }
 
-    // Extract type (totp or hotp)
-    let type = uri.substr(0, 4).toLowerCase();
-    uri = uri.substr(5);
+  if (url.protocol !== 'otpauth:') {
+    return parseFailure(OTPParseError.UNSUPPORTED_SCHEME, `Unsupported URL scheme: ${url.protocol}`, otpUrl);
+  }
+  if (url.username || url.password || url.port) {
+    return parseFailure(OTPParseError.INVALID_URL, 'otpauth:// URLs cannot carry credentials or a port', otpUrl);
+  }
 
-    // Extract label and parameters
-    let label = uri.split('?')[0];
-    const parameterPart = uri.split('?')[1];
-    
-    if (!label || !parameterPart) {
-      return null;
-    }
+  const uriType = url.hostname.toLowerCase();
+  let type = URI_TYPES[uriType];
+  if (!type) {
+    return parseFailure(OTPParseError.UNSUPPORTED_TYPE, uriType ? `Unsupported OTP type: ${uriType}` : 'OTP type is missing', otpUrl);
+  }
 
-    // Decode label
-    try {
-      label = decodeURIComponent(label);
-    } catch (error) {
-      console.error('Error decoding label:', error);
-    }
+  let label;
+  try {
+    label = decodeURIComponent(url.pathname.slice(1));
+  } catch {
+    return parseFailure(OTPParseError.INVALID_URL, 'Label is not valid percent-encoding', otpUrl);
+  }
+
+  // Only the first colon separates the issuer; spaces may follow it
+  const separator = label.indexOf(':');
+  const labelIssuer = separator === -1 ? '' : label.slice(0, separator);
+  const account = (separator === -1 ? label : label.slice(separator + 1)).trimStart();
+  if (!account) {
+    return parseFailure(OTPParseError.MISSING_LABEL, 'The URL has no account name', otpUrl);
+  }
 
-    // Parse issuer and account from label
-    let issuer;
-    let account;
-    if (label.indexOf(':') !== -1) {
-      issuer = label.split(':')[0];
-      account = label.split(':')[1];
+  const params = {};
+  const extraParameters = {};
+  for (const [name, value] of url.searchParams) {
+    const key = name.toLowerCase();
+    if (!KNOWN_PARAMETERS.includes(key)) {
+      if (!(name in extraParameters)) {
+        extraParameters[name] = value;
+      }
+    } else if (key in params) {
+      return parseFailure(OTPParseError.DUPLICATE_PARAMETER, `Duplicate parameter: ${key}`, otpUrl);
     } else {
-      account = label;
+      params[key] = value;
     }
+  }
 
-    // Parse parameters
-    const parameters = parameterPart.split('&');
-    let secret = '';
-    let algorithm;
-    let period;
-    let digits;
-    let counter;
-
-    parameters.forEach((item) => {
-      const parameter = item.split('=');
-      const key = parameter[0].toLowerCase();
-      const value = parameter[1];
-
-      switch (key) {
-        case 'secret':
-          secret = value;
-          break;
-        case 'issuer':
-          try {
-            issuer = decodeURIComponent(value);
-          } catch {
-            issuer = value;
-          }
-          issuer = issuer.replace(/\+/g, ' ');
-          break;
-        case 'counter':
-          counter = Number(value);
-          counter = isNaN(counter) || counter < 0 ? 0 : counter;
-          break;
-        case 'period':
-          period = Number(value);
-          period = isNaN(period) || period < 0 || period > 60 || 60 % period !== 0 
-            ? undefined 
-            : period;
-          break;
-        case 'digits':
-          digits = Number(value);
-          digits = isNaN(digits) || digits === 0 ? 6 : digits;
-          break;
-        case 'algorithm':
-          algorithm = value.toUpperCase();
-          break;
-      }
-    });
+  let secret = params.secret;
+  if (!secret) {
+    return parseFailure(OTPParseError.MISSING_SECRET, 'The URL has no secret', otpUrl);
+  }
 
-    // Validate secret
-    if (!secret) {
-      return null;
-    }
+  // Vendor prefixes are stripped before the secret itself is checked
+  const vendor = VENDOR_PREFIXES.find(prefix => prefix.pattern.test(secret));
+  if (vendor) {
+    secret = secret.replace(vendor.pattern, '');
+    type = vendor.type;
+  }
 
-    // Validate secret format
-    if (!/^[0-9a-f]+$/i.test(secret) && !/^[2-7a-z]+=*$/i.test(secret)) {
-      return {
-        error: 'Invalid secret format',
-        secret: secret,
-        originalUrl: otpUrl
-      };
-    }
+  // mOTP secrets are hex; TOTP and HOTP secrets that can only be hex select the hex variants
+  const hexTypes = { [OTPType.TOTP]: OTPType.HEX, [OTPType.HOTP]: OTPType.HHEX, [OTPType.MOTP]: OTPType.MOTP };
+  const isBase32 = /^[2-7a-z]+=*$/i.test(secret);
+  const isHex = /^[0-9a-f]+$/i.test(secret);
+  if (type === OTPType.MOTP ? !isHex : !isBase32 && !(isHex && hexTypes[type])) {
+    return parseFailure(OTPParseError.INVALID_SECRET, `Invalid secret format for ${uriType}`, otpUrl);
+  }
+  if (!isBase32) {
+    type = hexTypes[type];
+  }
 
-    // Determine actual type based on secret format
-    if (!/^[2-7a-z]+=*$/i.test(secret) && /^[0-9a-f]+$/i.test(secret)) {
-      if (type === 'totp') {
-        type = 'hex';
-      } else if (type === 'hotp') {
-        type = 'hhex';
-      }
-    }
+  const algorithm = params.algorithm === undefined ? OTPAlgorithm.SHA1 : params.algorithm.toUpperCase();
+  if (!Object.values(OTPAlgorithm).includes(algorithm)) {
+    return parseFailure(OTPParseError.UNSUPPORTED_ALGORITHM, `Unsupported algorithm: ${params.algorithm}`, otpUrl);
+  }
 
-    // Handle special vendor formats
-    if (/^(blz-|bliz-)/.test(secret)) {
-      const secretMatches = secret.match(/^(blz-|bliz-)(.*)/);
-      if (secretMatches && secretMatches.length >= 3) {
-        secret = secretMatches[2];
-        type = 'battle';
-      }
+  const numbers = {
+    digits: { fallback: 6, valid: value => value >= 4 && value <= 10, range: '4-10' },
+    period: { fallback: 30, valid: isValidPeriod, range: `${PERIOD_RANGE.min}-${PERIOD_RANGE.max} seconds` },
+    // RFC 6238 T0, not part of the Key Uri Format; a Unix time, so a safe integer is plenty
+    t0: { fallback: 0, valid: Number.isSafeInteger, range: `0-${Number.MAX_SAFE_INTEGER}` },
+    // Full 64-bit counters; those above 2^53 - 1 are kept as decimal strings
+    counter: {
+      fallback: 0,
+      valid: (value, raw) => OTPGenerator.isValidCounter(raw),
+      parse: raw => OTPGenerator.normalizeCounter(raw),
+      range: '0-18446744073709551615'
+    },
+    pin_length: { fallback: null, valid: value => value >= 4 && value <= 16, range: '4-16' }
+  };
+  const values = {};
+  for (const [key, { fallback, valid, parse, range }] of Object.entries(numbers)) {
+    if (params[key] === undefined) {
+      values[key] = fallback;
+      continue;
+    }
+    const value = /^\d+$/.test(params[key]) ? Number(params[key]) : NaN;
+    if (!valid(value, params[key])) {
+      return parseFailure(OTPParseError.INVALID_PARAMETER, `Invalid ${key}: ${params[key]}, must be ${range}`, otpUrl);
     }
+    values[key] = parse ? parse(params[key]) : value;
+  }
 
-    if (/^stm-/.test(secret)) {
-      const secretMatches = secret.match(/^stm-(.*)/);
-      if (secretMatches && secretMatches.length >= 2) {
-        secret = secretMatches[1];
-        type = 'steam';
-      }
+  if (type === OTPType.OCRA) {
+    try {
+      parseOcraSuite(params.ocrasuite);
+    } catch (error) {
+      return parseFailure(OTPParseError.INVALID_PARAMETER, error.message, otpUrl);
     }
+  }
 
-    // Build result object
-    const result = {
-      type: type,
-      label: label,
-      issuer: issuer || '',
-      account: account || '',
-      secret: secret,
-      algorithm: algorithm || 'SHA1',
-      digits: digits || 6,
-      period: period || 30,
-      counter: counter || 0,
-      hash: uuidv4(),
-      originalUrl: otpUrl,
-      valid: true
-    };
+  const warnings = [];
+  const issuer = params.issuer === undefined ? labelIssuer : params.issuer;
+  if (labelIssuer && params.issuer !== undefined && labelIssuer !== params.issuer) {
+    warnings.push(`Label issuer "${labelIssuer}" does not match issuer parameter "${params.issuer}", using "${params.issuer}"`);
+  }
+  if ((type === OTPType.HOTP || type === OTPType.HHEX) && params.counter === undefined) {
+    warnings.push('HOTP URL has no counter, starting at 0');
+  }
 
-    return result;
+  // Build result object
+  const result = {
+    type: type,
+    label: label,
+    issuer: issuer,
+    account: account,
+    secret: secret,
+    algorithm: algorithm,
+    digits: values.digits,
+    period: values.period,
+    t0: values.t0,
+    counter: values.counter,
+    hash: uuidv4(),
+    originalUrl: otpUrl,
+    extraParameters: extraParameters,
+    warnings: warnings,
+    valid: true
+  };
 
-  } catch (error) {
-    console.error('Error parsing standard OTP URL:', error);
-    return null;
+  if (type === OTPType.OCRA) {
+    result.ocraSuite = params.ocrasuite;
   }
+
+  // The PIN of mOTP / Yandex.Key tokens is never part of the URL
+  if (type === OTPType.MOTP || type === OTPType.YANDEX) {
+    result.pinLength = values.pin_length;
+  }
+
+  return applyFixedParameters(result);
+}
+
+/**
+ * Result for a URL the parser rejects
+ * @param {string} code - One of OTPParseError
+ * @param {string} error - Human-readable reason
+ * @param {string} otpUrl - The URL as given
+ * @returns {Object} - { valid: false, error, code, originalUrl }
+ */
+function parseFailure(code, error, otpUrl) {
+  return {
+    valid: false,
+    error: error,
+    code: code,
+    originalUrl: otpUrl
+  };
 }
 
 /**
  * Parse otpauth-migration:// URL (Google Authenticator export format)
  * @param {string} migrationUrl - The migration URL
- * @returns {Object|null} - Parsed migration data
+ * @returns {Object} - Parsed migration data with one entry per account, or { valid: false, error, code }
  */
 function parseMigrationUrl(migrationUrl) {
   try {
-    // This is a simplified version - full implementation would need protobuf parsing
-    // For now, return a structured response indicating migration URLs need special handling
-    
+    const data = extractMigrationData(migrationUrl);
+    if (!data || data.length === 0) {
+      return parseFailure(OTPParseError.INVALID_MIGRATION, 'The migration URL has no data', migrationUrl);
+    }
+
+    const payload = decodeMigrationPayload(data);
+    if (payload.otpParameters.length === 0) {
+      return parseFailure(OTPParseError.INVALID_MIGRATION, 'The migration payload has no accounts', migrationUrl);
+    }
+
+    const entries = payload.otpParameters.map((params) => {
+      const fields = fromOtpParameters(params);
+      const label = fields.issuer ? `${fields.issuer}:${fields.account}` : fields.account;
+
+      if (fields.error) {
+        return {
+          label: label,
+          issuer: fields.issuer,
+          account: fields.account,
+          error: fields.error,
+          valid: false
+        };
+      }
+
+      const entry = {
+        type: fields.type,
+        label: label,
+        issuer: fields.issuer,
+        account: fields.account,
+        secret: fields.secret,
+        algorithm: fields.algorithm,
+        digits: fields.digits,
+        period: 30,
+        counter: fields.counter,
+        hash: uuidv4(),
+        valid: true
+      };
+      entry.originalUrl = buildStandardOTPUrl(entry);
+
+      return entry;
+    });
+
     return {
       type: 'migration',
+      entries: entries,
+      version: payload.version,
+      batch: {
+        index: payload.batchIndex,
+        size: payload.batchSize,
+        id: payload.batchId
+      },
       originalUrl: migrationUrl,
-      message: 'Migration URLs require specialized parsing',
-      note: 'This appears to be a Google Authenticator migration QR code. These contain multiple accounts and require protobuf decoding.',
-      suggestion: 'Try importing individual QR codes for each account instead.',
-      valid: false
+      valid: true
     };
 
   } catch (error) {
-    console.error('Error parsing migration URL:', error);
-    return null;
+    return parseFailure(OTPParseError.INVALID_MIGRATION, `Malformed migration payload: ${error.message}`, migrationUrl);
+  }
+}
+
+/**
+ * Set the parameters that mOTP and Yandex.Key fix for every token
+ * @param {Object} otpData - Parsed or manually entered OTP data
+ * @returns {Object} - The same object
+ */
+function applyFixedParameters(otpData) {
+  if (otpData.type === OTPType.MOTP) {
+    Object.assign(otpData, {
+      secret: otpData.secret.toLowerCase(),
+      algorithm: OTPAlgorithm.MD5,
+      digits: 6,
+      period: 10
+    });
+  } else if (otpData.type === OTPType.YANDEX) {
+    Object.assign(otpData, {
+      secret: otpData.secret.toUpperCase(),
+      algorithm: OTPAlgorithm.SHA256,
+      digits: 8,
+      period: 30
+    });
+  }
+  return otpData;
+}
+
+/**
+ * Build an otpauth:// URL for a single parsed entry
+ *
+ * parseOTPAuth reads the URL back into the same configuration. Hex secrets
+ * that would also parse as Base32 are written as the equivalent Base32
+ * secret of a plain TOTP/HOTP entry, which gives the same codes.
+ *
+ * @param {Object} otpData - Parsed OTP data
+ * @returns {string} - otpauth:// URL
+ */
+function buildStandardOTPUrl(otpData) {
+  let type = otpData.type;
+  let secret = otpData.secret;
+  const hexVariants = { [OTPType.HEX]: OTPType.TOTP, [OTPType.HHEX]: OTPType.HOTP };
+  if (hexVariants[type] && /^[2-7a-z]+=*$/i.test(secret)) {
+    secret = OTPGenerator.bufferToBase32(OTPGenerator.hexToBuffer(secret));
+    type = hexVariants[type];
+  }
+
+  const counterBased = type === OTPType.HOTP || type === OTPType.HHEX;
+  const uriTypes = {
+    [OTPType.OCRA]: 'ocra',
+    [OTPType.MOTP]: 'motp',
+    [OTPType.YANDEX]: 'yaotp'
+  };
+  const uriType = uriTypes[type] || (counterBased ? 'hotp' : 'totp');
+
+  // Only the first colon of a label ends the issuer, so an issuer with a colon
+  // stays out of the label, and an account with one then needs an empty prefix
+  const account = encodeURIComponent(otpData.account);
+  let label = account;
+  if (otpData.issuer && !otpData.issuer.includes(':')) {
+    label = `${encodeURIComponent(otpData.issuer)}:${account}`;
+  } else if (otpData.account.includes(':')) {
+    label = `:${account}`;
   }
+
+  // Vendor formats are recognised by a prefix on the secret
+  if (type === OTPType.STEAM) {
+    secret = `stm-${secret}`;
+  } else if (type === OTPType.BATTLE) {
+    secret = `blz-${secret}`;
+  }
+
+  const params = [`secret=${secret}`];
+  if (otpData.issuer) {
+    params.push(`issuer=${encodeURIComponent(otpData.issuer)}`);
+  }
+
+  if (type === OTPType.OCRA) {
+    // The suite names the algorithm and digits
+    params.push(`ocrasuite=${encodeURIComponent(otpData.ocraSuite)}`);
+    if (otpData.counter) {
+      params.push(`counter=${otpData.counter}`);
+    }
+  } else if (type === OTPType.MOTP || type === OTPType.YANDEX) {
+    if (otpData.pinLength) {
+      params.push(`pin_length=${otpData.pinLength}`);
+    }
+  } else {
+    params.push(`algorithm=${otpData.algorithm}`);
+    params.push(`digits=${otpData.digits}`);
+    if (counterBased) {
+      params.push(`counter=${otpData.counter}`);
+    } else {
+      params.push(`period=${otpData.period}`);
+      if (otpData.t0) {
+        params.push(`t0=${otpData.t0}`);
+      }
+    }
+  }
+
+  // Parameters the parser did not interpret are passed through unchanged
+  Object.entries(otpData.extraParameters || {}).forEach(([key, value]) => {
+    params.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+  });
+
+  return `otpauth://${uriType}/${label}?${params.join('&')}`;
+}
+
+/**
+ * Build the canonical otpauth:// URL of a saved entry
+ *
+ * originalUrl is whatever the QR code held; this URL is rebuilt from the
+ * entry's current configuration instead. PINs are never part of it.
+ *
+ * @param {Object} entry - OTPEntry document
+ * @returns {string} - otpauth:// URL
+ * @throws {Error} - If the secret is client-encrypted (zero-knowledge vault)
+ */
+function buildOTPAuthUrl(entry) {
+  if (entry.clientEncrypted) {
+    throw new Error('The secret is client-encrypted and only the browser can build its URL');
+  }
+
+  const { pin, ...otpData } = entry.getOTPData();
+  return buildStandardOTPUrl(otpData);
 }
 
 /**
@@ -254,6 +512,28 @@ function validateOTPData(otpData) {
     errors.push(`Invalid OTP type: ${otpData.type}`);
   }
 
+  // OCRA entries are defined by their suite
+  if (otpData.type === OTPType.OCRA) {
+    try {
+      parseOcraSuite(otpData.ocraSuite);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  // A PIN, when given, must fit the token type
+  if (otpData.type === OTPType.MOTP || otpData.type === OTPType.YANDEX) {
+    if (otpData.pin && !PIN_PATTERN.test(otpData.pin)) {
+      errors.push('PIN must be 4-16 digits');
+    } else if (otpData.pin && otpData.pinLength && otpData.pin.length !== otpData.pinLength) {
+      errors.push(`PIN must be ${otpData.pinLength} digits`);
+    } else if (!otpData.pin) {
+      warnings.push('No PIN set - codes cannot be generated until one is added');
+    }
+  } else if (otpData.pin) {
+    errors.push(`OTP type ${otpData.type} does not use a PIN`);
+  }
+
   // Validate algorithm
   if (otpData.algorithm && !Object.values(OTPAlgorithm).includes(otpData.algorithm)) {
     warnings.push(`Unknown algorithm: ${otpData.algorithm}, will default to SHA1`);
@@ -265,17 +545,29 @@ function validateOTPData(otpData) {
   }
 
   // Validate period for TOTP
-  if (otpData.type === OTPType.TOTP && otpData.period) {
-    if (otpData.period < 15 || otpData.period > 300) {
+  if ((otpData.type === OTPType.TOTP || otpData.type === OTPType.HEX) && otpData.period !== undefined) {
+    if (!isValidPeriod(otpData.period)) {
+      errors.push(`Invalid period: ${otpData.period}, must be a whole number of seconds from ${PERIOD_RANGE.min} to ${PERIOD_RANGE.max}`);
+    } else if (otpData.period < 15 || otpData.period > 300) {
       warnings.push(`Unusual period: ${otpData.period} seconds, typical value is 30`);
     }
   }
 
+  // Steps before T0 do not exist
+  if (otpData.t0 && otpData.t0 > Math.floor(Date.now() / 1000)) {
+    errors.push('t0 cannot be in the future');
+  }
+
   // Check for missing issuer
   if (!otpData.issuer) {
     warnings.push('No issuer specified - this may make it harder to identify the account');
   }
 
+  // Warnings the URL parser raised, such as a label issuer that was overridden
+  if (Array.isArray(otpData.warnings)) {
+    warnings.push(...otpData.warnings);
+  }
+
   return {
     valid: errors.length === 0,
     errors: errors,
@@ -283,6 +575,15 @@ function validateOTPData(otpData) {
   };
 }
 
+/**
+ * Whether a TOTP period is within PERIOD_RANGE
+ * @param {*} period - Period in seconds
+ * @returns {boolean}
+ */
+function isValidPeriod(period) {
+  return Number.isInteger(period) && period >= PERIOD_RANGE.min && period <= PERIOD_RANGE.max;
+}
+
 /**
  * Format OTP data for client response
  * @param {Object} otpData - The parsed OTP data
@@ -318,7 +619,10 @@ function getTypeDescription(type) {
     [OTPType.BATTLE]: 'Battle.net authenticator format',
     [OTPType.STEAM]: 'Steam Guard authenticator format',
     [OTPType.HEX]: 'Time-based with hex encoding',
-    [OTPType.HHEX]: 'Counter-based with hex encoding'
+    [OTPType.HHEX]: 'Counter-based with hex encoding',
+    [OTPType.OCRA]: 'Challenge-response (OCRA) - codes are computed from a challenge',
+    [OTPType.MOTP]: 'Mobile-OTP (mOTP) - codes change every 10 seconds, PIN protected',
+    [OTPType.YANDEX]: 'Yandex.Key - 8-letter codes, PIN protected'
   };
 
   return descriptions[type] || `Unknown type: ${type}`;
@@ -335,7 +639,8 @@ function getAlgorithmDescription(algorithm) {
     [OTPAlgorithm.SHA256]: 'SHA-256 (more secure)',
     [OTPAlgorithm.SHA512]: 'SHA-512 (most secure)',
     [OTPAlgorithm.GOST3411_2012_256]: 'GOST R 34.11-2012 256-bit',
-    [OTPAlgorithm.GOST3411_2012_512]: 'GOST R 34.11-2012 512-bit'
+    [OTPAlgorithm.GOST3411_2012_512]: 'GOST R 34.11-2012 512-bit',
+    [OTPAlgorithm.MD5]: 'MD5 (mOTP only)'
   };
 
   return descriptions[algorithm] || `Custom algorithm: ${algorithm}`;
@@ -345,8 +650,14 @@ module.exports = {
   parseOTPAuth,
   parseStandardOTPUrl,
   parseMigrationUrl,
+  buildStandardOTPUrl,
+  buildOTPAuthUrl,
+  applyFixedParameters,
   validateOTPData,
+  isValidPeriod,
   formatOTPResponse,
   OTPType,
-  OTPAlgorithm
+  OTPAlgorithm,
+  OTPParseError,
+  PERIOD_RANGE
 };
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+
+/**
+ * Encryption of OTP secrets at rest
+ *
+ * Values are encrypted with AES-256-GCM under a versioned master key and
+ * stored as: enc:v<version>:<iv>:<auth tag>:<ciphertext> (base64 parts).
+ * A caller-supplied context (document id and field name) is bound as
+ * additional authenticated data, so a ciphertext copied into another
+ * field or document fails to decrypt.
+ *
+ * Keys come from the environment:
+ *   OTP_ENCRYPTION_KEYS="1:<base64 key>,2:<base64 key>"   (32-byte keys)
+ *   OTP_ENCRYPTION_KEY_VERSION=2                         (defaults to the highest)
+ *
+ * Without keys values are stored as plaintext, which is only allowed outside
+ * production (NODE_ENV=production refuses to run without them).
+ */
+
+const ENCRYPTED_PREFIX = 'enc:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let cachedKeyring = null;
+let warnedMissingKey = false;
+
+/**
+ * Decode a 32-byte key given as hex or base64
+ * @param {string} value - Encoded key
+ * @returns {Buffer} - Key bytes
+ */
+function decodeKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('OTP encryption keys must be 32 bytes (hex or base64 encoded)');
+  }
+  return key;
+}
+
+/**
+ * Load master keys from the environment
+ * @returns {Object|null} - { keys: Map<version, Buffer>, currentVersion } or null if unset
+ */
+function getKeyring() {
+  if (cachedKeyring) {
+    return cachedKeyring;
+  }
+
+  const configured = (process.env.OTP_ENCRYPTION_KEYS || '').trim();
+  if (!configured) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('OTP_ENCRYPTION_KEYS must be set in production - OTP secrets would be stored unencrypted');
+    }
+    if (!warnedMissingKey) {
+      console.warn('⚠️  OTP_ENCRYPTION_KEYS is not set - OTP secrets are stored unencrypted');
+      warnedMissingKey = true;
+    }
+    return null;
+  }
+
+  const keys = new Map();
+  configured.split(',').forEach((item) => {
+    const [version, encodedKey] = item.trim().split(':');
+    if (!/^\d+$/.test(version) || !encodedKey) {
+      throw new Error('OTP_ENCRYPTION_KEYS must look like "1:<key>,2:<key>"');
+    }
+    keys.set(Number(version), decodeKey(encodedKey));
+  });
+
+  const currentVersion = process.env.OTP_ENCRYPTION_KEY_VERSION
+    ? Number(process.env.OTP_ENCRYPTION_KEY_VERSION)
+    : Math.max(...keys.keys());
+
+  if (!keys.has(currentVersion)) {
+    throw new Error(`OTP_ENCRYPTION_KEY_VERSION ${currentVersion} has no key in OTP_ENCRYPTION_KEYS`);
+  }
+
+  cachedKeyring = { keys, currentVersion };
+  return cachedKeyring;
+}
+
+/**
+ * Whether a master key is configured
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+  return getKeyring() !== null;
+}
+
+/**
+ * Fail at startup instead of on the first saved secret when production has no
+ * master key, and on malformed keys in any environment
+ */
+function assertEncryptionConfigured() {
+  getKeyring();
+}
+
+/**
+ * Whether a stored value is in the encrypted format
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Key version a stored value was encrypted with
+ * @param {string} value - Stored value
+ * @returns {number|null} - Version or null for plaintext
+ */
+function getKeyVersion(value) {
+  if (!isEncrypted(value)) {
+    return null;
+  }
+  const match = value.match(/^enc:v(\d+):/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Whether a stored value should be (re-)encrypted with the current key
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function needsEncryption(value) {
+  const keyring = getKeyring();
+  if (!keyring || value === undefined || value === null || value === '') {
+    return false;
+  }
+  return getKeyVersion(value) !== keyring.currentVersion;
+}
+
+/**
+ * Encrypt a value with the current master key
+ * @param {string} plaintext - Value to protect
+ * @param {string} context - Context bound as additional authenticated data
+ * @returns {string} - Encrypted value, or the plaintext when no key is configured
+ */
+function encryptValue(plaintext, context) {
+  const keyring = getKeyring();
+  if (!keyring) {
+    return plaintext;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyring.keys.get(keyring.currentVersion), iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [
+    `${ENCRYPTED_PREFIX}v${keyring.currentVersion}`,
+    iv.toString('base64'),
+    tag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored value; plaintext values are returned unchanged
+ * @param {string} value - Stored value
+ * @param {string} context - Context the value was encrypted with
+ * @returns {string} - Plaintext
+ */
+function decryptValue(value, context) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const parts = value.split(':');
+  if (parts.length !== 5) {
+    throw new Error('Malformed encrypted value');
+  }
+
+  const version = getKeyVersion(value);
+  const keyring = getKeyring();
+  if (!keyring || !keyring.keys.has(version)) {
+    throw new Error(`No OTP encryption key configured for version ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    keyring.keys.get(version),
+    Buffer.from(parts[2], 'base64')
+  );
+  decipher.setAAD(Buffer.from(context, 'utf8'));
+  decipher.setAuthTag(Buffer.from(parts[3], 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(parts[4], 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Re-encrypt a stored value with the current key if it is plaintext or uses an old key
+ * @param {string} value - Stored value
+ * @param {string} context - Context the value was encrypted with
+ * @returns {string} - Value encrypted with the current key
+ */
+function reencryptValue(value, context) {
+  if (!needsEncryption(value)) {
+    return value;
+  }
+  return encryptValue(decryptValue(value, context), context);
+}
+
+/**
+ * Keyed hashes of a value under every configured key, for equality lookups
+ * on encrypted fields (e.g. duplicate detection on originalUrl)
+ * @param {string} value - Plaintext
+ * @returns {Array<string>} - One hex digest per key version, current key first
+ */
+function blindIndexes(value) {
+  const keyring = getKeyring();
+  if (!keyring || !value) {
+    return [];
+  }
+
+  const versions = [keyring.currentVersion, ...[...keyring.keys.keys()].filter(v => v !== keyring.currentVersion)];
+  return versions.map((version) => {
+    const indexKey = crypto.createHmac('sha256', keyring.keys.get(version)).update('blind-index').digest();
+    return crypto.createHmac('sha256', indexKey).update(value, 'utf8').digest('hex');
+  });
+}
+
+module.exports = {
+  assertEncryptionConfigured,
+  isEncryptionEnabled,
+  isEncrypted,
+  getKeyVersion,
+  needsEncryption,
+  encryptValue,
+  decryptValue,
+  reencryptValue,
+  blindIndexes
+};
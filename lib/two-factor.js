@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const OTPGenerator = require('../services/otp-generator');
+const { buildStandardOTPUrl, OTPType, OTPAlgorithm } = require('./otp-parser');
+
+/**
+ * Two-factor authentication for the server's own user accounts
+ *
+ * Users enroll a standard TOTP secret (SHA1, 6 digits, 30 seconds) so any
+ * authenticator app works, and receive single-use recovery codes that are
+ * stored only as SHA-256 hashes.
+ */
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'OTP Authenticator';
+const TWO_FACTOR_PERIOD = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+function generateTwoFactorSecret() {
+  return OTPGenerator.bufferToBase32(crypto.randomBytes(20));
+}
+
+/**
+ * OTP data for a user's two-factor secret, in the shape OTPGenerator expects
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name shown in the authenticator app
+ * @returns {Object} - OTP data
+ */
+function buildTwoFactorOTPData(secret, account) {
+  return {
+    type: OTPType.TOTP,
+    issuer: TWO_FACTOR_ISSUER,
+    account: account,
+    secret: secret,
+    algorithm: OTPAlgorithm.SHA1,
+    digits: 6,
+    period: TWO_FACTOR_PERIOD
+  };
+}
+
+/**
+ * Provisioning otpauth:// URL for enrollment
+ * @param {Object} otpData - OTP data from buildTwoFactorOTPData
+ * @returns {string} - otpauth:// URL
+ */
+function buildProvisioningUrl(otpData) {
+  return buildStandardOTPUrl(otpData);
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Array<string>} - Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code for storage and comparison
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} - Hex digest of the normalised code
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  TWO_FACTOR_PERIOD,
+  RECOVERY_CODE_COUNT,
+  generateTwoFactorSecret,
+  buildTwoFactorOTPData,
+  buildProvisioningUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Session = require('../models/Session');
+const ApiClient = require('../models/ApiClient');
 
 // JWT Authentication Middleware
 const authenticateToken = async (req, res, next) => {
@@ -18,6 +20,15 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Only access tokens are accepted here, not e.g. two-factor challenge tokens
+    if (decoded.type || !decoded.sessionId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        code: 'INVALID_TOKEN'
+      });
+    }
     
     // Find user
     const user = await User.findById(decoded.userId);
@@ -32,7 +43,15 @@ const authenticateToken = async (req, res, next) => {
     // Check session if sessionId is in token
     if (decoded.sessionId) {
       const session = await Session.findById(decoded.sessionId);
-      if (!session || !session.isActive || session.expiresAt < new Date()) {
+      if (session && !session.isActive) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      if (!session || !session.userId.equals(user._id) || session.expiresAt < new Date()) {
         return res.status(401).json({
           success: false,
           error: 'Session expired',
@@ -48,6 +67,8 @@ const authenticateToken = async (req, res, next) => {
 
     req.user = user;
     req.userId = user._id;
+    // Long-lived responses (the live code stream) end when the token does
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -84,9 +105,16 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.type || !decoded.sessionId) {
+        return next();
+      }
       const user = await User.findById(decoded.userId);
-      
-      if (user && user.isActive) {
+      // Tokens of revoked sessions are treated as anonymous
+      const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+      const sessionValid = !decoded.sessionId ||
+        (session && session.isActive && session.expiresAt >= new Date());
+
+      if (user && user.isActive && sessionValid) {
         req.user = user;
         req.userId = user._id;
       }
@@ -99,26 +127,88 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// API key authentication for client applications of the issuer API (routes/issuer.js)
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required',
+        code: 'NO_API_KEY'
+      });
+    }
+
+    const client = await ApiClient.findByKey(apiKey);
+    // Keys stop working when the account that registered the application is deactivated
+    const owner = client ? await User.findById(client.userId) : null;
+    if (!client || !owner || !owner.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    await ApiClient.updateOne({ _id: client._id }, { $set: { lastUsedAt: new Date() } });
+
+    req.apiClient = client;
+    next();
+  } catch (error) {
+    console.error('API key middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Authentication error',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
 // No session-based authentication needed - JWT only
 
-// Generate JWT token
-const generateToken = (userId, sessionId = null, expiresIn = null) => {
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Generate JWT access token
+const generateToken = (userId, sessionId = null, expiresIn = ACCESS_TOKEN_EXPIRES_IN) => {
   const payload = { userId };
   if (sessionId) {
     payload.sessionId = sessionId;
   }
-  
-  // If expiresIn is null, the token will never expire
-  if (expiresIn) {
-    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
-  } else {
-    return jwt.sign(payload, process.env.JWT_SECRET);
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Generate refresh token: an opaque random value, single-use, stored only as a hash
+const generateRefreshToken = () => {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+// Two-factor challenge: proves the password was checked, valid for a few minutes
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+// challengeId (the jti) is stored on the user, so the token can only be used once
+const generateChallengeToken = (userId, rememberMe, challengeId) => {
+  return jwt.sign(
+    { userId, rememberMe: Boolean(rememberMe), type: 'two_factor_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN, jwtid: challengeId }
+  );
+};
+
+// Decode a challenge token; throws if it is invalid, expired or another kind of token
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== 'two_factor_challenge') {
+    throw new jwt.JsonWebTokenError('Not a two-factor challenge token');
   }
+  return decoded;
 };
 
-// Generate refresh token (longer expiry)
-const generateRefreshToken = (userId, sessionId = null) => {
-  return generateToken(userId, sessionId, '7d');
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 // Parse device info from user agent
@@ -158,7 +248,13 @@ const parseDeviceInfo = (userAgent, ip) => {
 module.exports = {
   authenticateToken,
   optionalAuth,
+  authenticateApiKey,
   generateToken,
   generateRefreshToken,
-  parseDeviceInfo
+  hashToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  parseDeviceInfo,
+  ACCESS_TOKEN_EXPIRES_IN,
+  CHALLENGE_TOKEN_EXPIRES_IN
 };
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// API keys look like otpk_<43 base64url characters>; only a hash is stored
+const API_KEY_PREFIX = 'otpk_';
+
+// Client applications that issue TOTP enrollments to their own users (routes/issuer.js)
+const apiClientSchema = new mongoose.Schema({
+  // Account that registered the application and manages its keys
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Issuer shown in authenticator apps; defaults to the name
+  issuer: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the current API key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Start of the key, so users can tell keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  // Parameters of new enrollments
+  otpDefaults: {
+    algorithm: {
+      type: String,
+      enum: ['SHA1', 'SHA256', 'SHA512'],
+      default: 'SHA1'
+    },
+    digits: {
+      type: Number,
+      enum: [6, 8],
+      default: 6
+    },
+    period: {
+      type: Number,
+      min: 15,
+      max: 300,
+      default: 30
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Replace the API key; returns the plaintext key to show once
+apiClientSchema.methods.rotateKey = function() {
+  const apiKey = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  this.keyHash = this.constructor.hashKey(apiKey);
+  this.keyPrefix = apiKey.slice(0, API_KEY_PREFIX.length + 6);
+  return apiKey;
+};
+
+// Hash an API key for storage and lookup
+apiClientSchema.statics.hashKey = function(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+// Find the active client an API key belongs to
+apiClientSchema.statics.findByKey = function(apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ keyHash: this.hashKey(apiKey), isActive: true });
+};
+
+module.exports = mongoose.model('ApiClient', apiClientSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const {
+  decryptValue,
+  reencryptValue
+} = require('../lib/secret-encryption');
+const { OTPType } = require('../lib/otp-parser');
+const { generateTwoFactorSecret } = require('../lib/two-factor');
+
+// TOTP secret a client application issued to one of its own users (routes/issuer.js)
+const enrollmentSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiClient',
+    required: true
+  },
+  // The client application's id for its user; opaque to this server
+  externalUserId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Account name shown in the authenticator app
+  accountName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // AES-256-GCM encrypted at rest, see lib/secret-encryption.js
+  secret: {
+    type: String,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['SHA1', 'SHA256', 'SHA512'],
+    default: 'SHA1'
+  },
+  digits: {
+    type: Number,
+    enum: [6, 8],
+    default: 6
+  },
+  period: {
+    type: Number,
+    min: 15,
+    max: 300,
+    default: 30
+  },
+  // pending until the first code is verified; disabled enrollments reject every code
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'disabled'],
+    default: 'pending'
+  },
+  // Time step of the last accepted code, to reject replays
+  lastUsedStep: {
+    type: Number,
+    default: null
+  },
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+  lastVerifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+enrollmentSchema.index({ clientId: 1, externalUserId: 1 }, { unique: true });
+
+// Encrypt the secret before it reaches the database
+enrollmentSchema.pre('save', function(next) {
+  try {
+    this.secret = reencryptValue(this.secret, `${this._id}:secret`);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to build the OTP data used by OTPGenerator
+enrollmentSchema.methods.getOTPData = function(issuer) {
+  return {
+    type: OTPType.TOTP,
+    issuer: issuer || '',
+    account: this.accountName,
+    secret: decryptValue(this.secret, `${this._id}:secret`),
+    algorithm: this.algorithm,
+    digits: this.digits,
+    period: this.period,
+    t0: 0,
+    counter: 0
+  };
+};
+
+// Method to issue a new secret that must be confirmed again
+enrollmentSchema.methods.resetSecret = function() {
+  this.secret = generateTwoFactorSecret();
+  this.status = 'pending';
+  this.lastUsedStep = null;
+  this.activatedAt = null;
+};
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
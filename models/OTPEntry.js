@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const {
+  needsEncryption,
+  decryptValue,
+  reencryptValue,
+  blindIndexes
+} = require('../lib/secret-encryption');
+const { isValidPeriod, PERIOD_RANGE } = require('../lib/otp-parser');
+const { MAX_COUNTER, counterField } = require('../lib/counter-field');
+const OTPGenerator = require('../services/otp-generator');
+
+const MAX_CONFIG_HISTORY = 10;
 
 const otpEntrySchema = new mongoose.Schema({
   userId: {
@@ -26,18 +37,19 @@ const otpEntrySchema = new mongoose.Schema({
   },
   // Encrypted OTP configuration
   otpConfig: {
+    // AES-256-GCM encrypted at rest, see lib/secret-encryption.js
     secret: {
       type: String,
       required: true
     },
     type: {
       type: String,
-      enum: ['totp', 'hotp', 'steam', 'battle', 'hex', 'hhex'],
+      enum: ['totp', 'hotp', 'steam', 'battle', 'hex', 'hhex', 'ocra', 'motp', 'yandex'],
       default: 'totp'
     },
     algorithm: {
       type: String,
-      enum: ['SHA1', 'SHA256', 'SHA512', 'GOST3411_2012_256', 'GOST3411_2012_512'],
+      enum: ['SHA1', 'SHA256', 'SHA512', 'GOST3411_2012_256', 'GOST3411_2012_512', 'MD5'],
       default: 'SHA1'
     },
     digits: {
@@ -48,19 +60,71 @@ const otpEntrySchema = new mongoose.Schema({
     },
     period: {
       type: Number,
-      min: 15,
-      max: 300,
-      default: 30
+      default: 30,
+      validate: {
+        validator: isValidPeriod,
+        message: `Period must be a whole number of seconds from ${PERIOD_RANGE.min} to ${PERIOD_RANGE.max}`
+      }
     },
-    counter: {
+    // Unix time that TOTP steps are counted from (RFC 6238 T0)
+    t0: {
       type: Number,
+      min: 0,
       default: 0
+    },
+    counter: counterField({ default: 0 }),
+    // OCRA (RFC 6287) suite, e.g. OCRA-1:HOTP-SHA1-6:QN08
+    ocraSuite: {
+      type: String,
+      default: null
+    },
+    // PIN mixed into mOTP / Yandex.Key codes; encrypted like the secret and never returned
+    pin: {
+      type: String,
+      default: null
+    },
+    pinLength: {
+      type: Number,
+      default: null
     }
   },
   originalUrl: {
     type: String,
     required: true
   },
+  // Keyed hash of the plaintext originalUrl, for duplicate checks on encrypted URLs
+  originalUrlHash: {
+    type: String,
+    default: null
+  },
+  // Secret and originalUrl hold browser-encrypted ciphertext (zero-knowledge vault)
+  clientEncrypted: {
+    type: Boolean,
+    default: false
+  },
+  // Time step of the last code accepted by verification, to reject replays
+  lastUsedStep: {
+    type: Number,
+    default: null
+  },
+  // Previous OTP configurations, most recent last, so edits can be undone
+  otpConfigHistory: [{
+    secret: String,
+    type: { type: String },
+    algorithm: String,
+    digits: Number,
+    period: Number,
+    t0: Number,
+    counter: counterField(),
+    ocraSuite: String,
+    pin: String,
+    pinLength: Number,
+    originalUrl: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   qrCodeImage: {
     filename: String,
     originalName: String,
@@ -102,16 +166,38 @@ const otpEntrySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Bumped by every change sync clients should see, for optimistic concurrency
+  version: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // When version last changed; GET /api/otp/sync pages through entries by it
+  changedAt: {
+    type: Date,
+    default: Date.now
   }
 }, {
   timestamps: true,
   toJSON: {
     virtuals: true,
+    getters: true,
     transform: function(doc, ret) {
       // Don't expose sensitive data in JSON
       if (ret.otpConfig && ret.otpConfig.secret) {
         ret.otpConfig.secret = '***HIDDEN***';
       }
+      if (ret.otpConfig) {
+        delete ret.otpConfig.pin;
+      }
+      if (ret.originalUrl) {
+        ret.originalUrl = '***HIDDEN***';
+      }
+      delete ret.originalUrlHash;
+      if (ret.otpConfigHistory) {
+        ret.otpConfigHistory = ret.otpConfigHistory.map(({ secret, originalUrl, pin, ...config }) => config);
+      }
       return ret;
     }
   }
@@ -125,6 +211,112 @@ otpEntrySchema.virtual('displayName').get(function() {
   return `${this.serviceName} - ${this.accountName}`;
 });
 
+// Encrypt secrets before they reach the database
+otpEntrySchema.pre('save', function(next) {
+  try {
+    this.encryptSensitiveFields();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to encrypt plaintext secrets, or re-encrypt those under an old key version
+otpEntrySchema.methods.encryptSensitiveFields = function() {
+  const secretContext = `${this._id}:secret`;
+  const urlContext = `${this._id}:originalUrl`;
+  const pinContext = `${this._id}:pin`;
+
+  if (this.originalUrl && (this.isModified('originalUrl') || needsEncryption(this.originalUrl))) {
+    const plainUrl = decryptValue(this.originalUrl, urlContext);
+    this.originalUrlHash = blindIndexes(plainUrl)[0] || null;
+    this.originalUrl = reencryptValue(this.originalUrl, urlContext);
+  }
+
+  this.otpConfig.secret = reencryptValue(this.otpConfig.secret, secretContext);
+  this.otpConfig.pin = reencryptValue(this.otpConfig.pin, pinContext);
+
+  this.otpConfigHistory.forEach((previous) => {
+    previous.secret = reencryptValue(previous.secret, secretContext);
+    previous.pin = reencryptValue(previous.pin, pinContext);
+    previous.originalUrl = reencryptValue(previous.originalUrl, urlContext);
+  });
+};
+
+// Method to get the decrypted original OTP URL
+otpEntrySchema.methods.getOriginalUrl = function() {
+  return decryptValue(this.originalUrl, `${this._id}:originalUrl`);
+};
+
+// Method to build the OTP data used by OTPGenerator
+otpEntrySchema.methods.getOTPData = function() {
+  return {
+    type: this.otpConfig.type,
+    secret: decryptValue(this.otpConfig.secret, `${this._id}:secret`),
+    algorithm: this.otpConfig.algorithm,
+    digits: this.otpConfig.digits,
+    period: this.otpConfig.period,
+    t0: this.otpConfig.t0 || 0,
+    counter: this.otpConfig.counter,
+    ocraSuite: this.otpConfig.ocraSuite,
+    pin: decryptValue(this.otpConfig.pin, `${this._id}:pin`),
+    pinLength: this.otpConfig.pinLength,
+    issuer: this.issuer || '',
+    account: this.accountName
+  };
+};
+
+// Method to change the OTP configuration, remembering the previous values
+otpEntrySchema.methods.updateOTPConfig = function(changes, originalUrl) {
+  this.otpConfigHistory.push({
+    secret: this.otpConfig.secret,
+    type: this.otpConfig.type,
+    algorithm: this.otpConfig.algorithm,
+    digits: this.otpConfig.digits,
+    period: this.otpConfig.period,
+    t0: this.otpConfig.t0,
+    counter: this.otpConfig.counter,
+    ocraSuite: this.otpConfig.ocraSuite,
+    pin: this.otpConfig.pin,
+    pinLength: this.otpConfig.pinLength,
+    originalUrl: this.originalUrl
+  });
+
+  // Keep only the most recent changes
+  if (this.otpConfigHistory.length > MAX_CONFIG_HISTORY) {
+    this.otpConfigHistory.splice(0, this.otpConfigHistory.length - MAX_CONFIG_HISTORY);
+  }
+
+  Object.keys(changes).forEach((key) => {
+    this.otpConfig[key] = changes[key];
+  });
+  this.originalUrl = originalUrl;
+  // Time steps of another configuration are not comparable
+  this.lastUsedStep = null;
+};
+
+// Method to restore the most recent previous OTP configuration
+otpEntrySchema.methods.undoOTPConfig = function() {
+  const previous = this.otpConfigHistory.pop();
+  if (!previous) {
+    return false;
+  }
+
+  this.otpConfig.secret = previous.secret;
+  this.otpConfig.type = previous.type;
+  this.otpConfig.algorithm = previous.algorithm;
+  this.otpConfig.digits = previous.digits;
+  this.otpConfig.period = previous.period;
+  this.otpConfig.t0 = previous.t0 || 0;
+  this.otpConfig.counter = previous.counter;
+  this.otpConfig.ocraSuite = previous.ocraSuite || null;
+  this.otpConfig.pin = previous.pin || null;
+  this.otpConfig.pinLength = previous.pinLength || null;
+  this.originalUrl = previous.originalUrl;
+  this.lastUsedStep = null;
+  return true;
+};
+
 // Method to update usage statistics
 otpEntrySchema.methods.updateUsage = async function(generatedCode = null) {
   this.usage.lastUsed = new Date();
@@ -135,19 +327,144 @@ otpEntrySchema.methods.updateUsage = async function(generatedCode = null) {
   return this.save();
 };
 
-// Method to increment HOTP counter
-otpEntrySchema.methods.incrementCounter = async function() {
-  if (this.otpConfig.type === 'hotp' || this.otpConfig.type === 'hhex') {
-    this.otpConfig.counter += 1;
-    return this.save();
+// Method to claim the current HOTP counter and advance it in one atomic update,
+// so concurrent requests never hand out the same code; null when none is left
+otpEntrySchema.methods.consumeCounter = async function() {
+  const previous = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      isActive: true,
+      'otpConfig.type': { $in: ['hotp', 'hhex'] },
+      'otpConfig.counter': { $lt: MAX_COUNTER }
+    },
+    {
+      // The counter is part of what sync clients see, so it is a new version
+      $inc: { 'otpConfig.counter': 1, 'usage.useCount': 1, version: 1 },
+      $set: { 'usage.lastUsed': new Date(), changedAt: new Date() }
+    },
+    { new: false, projection: { 'otpConfig.counter': 1, version: 1 } }
+  );
+  if (!previous) {
+    return null;
   }
+
+  const counter = previous.otpConfig.counter || 0;
+  this.otpConfig.counter = OTPGenerator.offsetCounter(counter, 1);
+  this.version = previous.version + 1;
+  return counter;
+};
+
+// Method to move the counter from the value a response was computed with to the next one,
+// recording the use; false when another request moved it first
+otpEntrySchema.methods.advanceCounter = async function(from, to, generatedCode) {
+  const now = new Date();
+  const update = await this.constructor.updateOne(
+    { _id: this._id, isActive: true, 'otpConfig.counter': from },
+    {
+      $set: {
+        'otpConfig.counter': to,
+        'usage.lastUsed': now,
+        'usage.lastGeneratedCode': generatedCode,
+        changedAt: now
+      },
+      $inc: { 'usage.useCount': 1, version: 1 }
+    }
+  );
+  if (update.modifiedCount !== 1) {
+    return false;
+  }
+
+  this.otpConfig.counter = to;
+  this.usage.lastUsed = now;
+  this.usage.lastGeneratedCode = generatedCode;
+  this.usage.useCount += 1;
+  this.version += 1;
+  this.changedAt = now;
+  return true;
+};
+
+// Method to record a change for sync clients without the concurrency check of saveChange()
+otpEntrySchema.methods.markChanged = function() {
+  this.version += 1;
+  this.changedAt = new Date();
+};
+
+// Method to save a change as a new version. The save only applies while the
+// stored version is still the one this document was read with, so of two
+// concurrent changes one wins and the other gets false instead of overwriting it.
+// Usage statistics are saved with save() and do not make a new version.
+otpEntrySchema.methods.saveChange = async function() {
+  if (!this.isModified()) {
+    return true;
+  }
+
+  const expected = this.version;
+  this.$where = { version: expected };
+  this.markChanged();
+  try {
+    await this.save();
+    return true;
+  } catch (error) {
+    // VersionError when array changes also checked Mongoose's own __v
+    if (error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError) {
+      this.version = expected;
+      return false;
+    }
+    throw error;
+  } finally {
+    this.$where = null;
+  }
+};
+
+// Build a new entry from parsed OTP data
+otpEntrySchema.statics.fromOTPData = function(userId, otpData, extra = {}) {
+  return new this({
+    userId: userId,
+    serviceName: otpData.issuer || 'Unknown Service',
+    accountName: otpData.account || 'Unknown Account',
+    issuer: otpData.issuer,
+    otpConfig: {
+      secret: otpData.secret,
+      type: otpData.type,
+      algorithm: otpData.algorithm,
+      digits: otpData.digits,
+      period: otpData.period,
+      t0: otpData.t0 || 0,
+      counter: otpData.counter || 0,
+      ocraSuite: otpData.ocraSuite || null,
+      pin: otpData.pin || null,
+      pinLength: otpData.pinLength || null
+    },
+    originalUrl: otpData.originalUrl,
+    ...extra
+  });
+};
+
+// Find an existing entry with the same OTP URL or service/account pair;
+// deleted entries only have isActive cleared and do not count, so they can be added again
+otpEntrySchema.statics.findDuplicate = function(userId, otpData) {
+  return this.findOne({
+    userId: userId,
+    isActive: true,
+    $or: [
+      // Plaintext match covers entries saved before encryption was enabled
+      { originalUrl: otpData.originalUrl },
+      { originalUrlHash: { $in: blindIndexes(otpData.originalUrl) } },
+      {
+        serviceName: otpData.issuer || 'Unknown',
+        accountName: otpData.account || 'Unknown'
+      }
+    ]
+  });
 };
 
 // Indexes for performance
 otpEntrySchema.index({ userId: 1, createdAt: -1 });
 otpEntrySchema.index({ userId: 1, serviceName: 1 });
+otpEntrySchema.index({ userId: 1, originalUrlHash: 1 });
 otpEntrySchema.index({ userId: 1, favorite: -1, createdAt: -1 });
 otpEntrySchema.index({ userId: 1, 'usage.lastUsed': -1 });
+otpEntrySchema.index({ userId: 1, changedAt: 1, _id: 1 });
 
 // Compound text index for search
 otpEntrySchema.index({
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Replays are detected for this many of a session's most recent refresh tokens;
+// older hashes are dropped so long-lived sessions do not grow without bound
+const MAX_USED_REFRESH_TOKENS = 100;
+
 const sessionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -7,11 +11,18 @@ const sessionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  sessionToken: {
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
     type: String,
     required: true,
     unique: true
   },
+  // Hashes of the last MAX_USED_REFRESH_TOKENS refresh tokens exchanged, to detect replays
+  usedRefreshTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
   deviceInfo: {
     userAgent: String,
     ip: String,
@@ -29,6 +40,10 @@ const sessionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  revokedReason: {
+    type: String,
+    default: null
+  },
   lastActivity: {
     type: Date,
     default: Date.now
@@ -50,12 +65,29 @@ sessionSchema.methods.extend = function(hours = 24) {
 };
 
 // Method to deactivate session
-sessionSchema.methods.deactivate = function() {
+sessionSchema.methods.deactivate = function(reason = 'revoked') {
   this.isActive = false;
+  this.revokedReason = reason;
   return this.save();
 };
 
-// Indexes (sessionToken and expiresAt indexes are created by unique: true and expireAfterSeconds)
+// Exchange a refresh token for a new one; atomic, so a token can only be used once
+sessionSchema.statics.rotateRefreshToken = function(tokenHash, newTokenHash) {
+  return this.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      isActive: true,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { refreshTokenHash: newTokenHash, lastActivity: new Date() },
+      $push: { usedRefreshTokenHashes: { $each: [tokenHash], $slice: -MAX_USED_REFRESH_TOKENS } }
+    },
+    { new: true }
+  );
+};
+
+// Indexes (refreshTokenHash and expiresAt indexes are created by unique: true and expireAfterSeconds)
 sessionSchema.index({ userId: 1, isActive: 1 });
 
 module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,13 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const OTPGenerator = require('../services/otp-generator');
+const { encryptValue, decryptValue } = require('../lib/secret-encryption');
+const {
+  buildTwoFactorOTPData,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../lib/two-factor');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -60,6 +68,66 @@ const userSchema = new mongoose.Schema({
       default: 'name'
     }
   },
+  // Zero-knowledge vault: in client mode OTP secrets are encrypted in the browser
+  // with a key derived from the password; only the derivation parameters live here
+  vault: {
+    mode: {
+      type: String,
+      enum: ['server', 'client'],
+      default: 'server'
+    },
+    kdf: {
+      algorithm: String,
+      hash: String,
+      iterations: Number,
+      salt: String
+    },
+    keyCheck: {
+      type: String,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // TOTP two-factor login; secrets are encrypted at rest like OTP entries
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    // Id of the last challenge token issued by POST /login, cleared once it is used
+    challengeId: {
+      type: String,
+      default: null
+    },
+    recoveryCodes: [{
+      hash: String,
+      usedAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -77,6 +145,9 @@ const userSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: ret.twoFactor.enabled };
+      }
       return ret;
     }
   }
@@ -107,6 +178,111 @@ userSchema.methods.updateLastLogin = async function() {
   return this.save();
 };
 
+// Store a new two-factor secret until it is confirmed
+userSchema.methods.setPendingTwoFactorSecret = function(secret) {
+  this.twoFactor.pendingSecret = encryptValue(secret, `${this._id}:twoFactor.secret`);
+};
+
+// OTP data for the active (or pending) two-factor secret
+userSchema.methods.getTwoFactorOTPData = function({ pending = false } = {}) {
+  const stored = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!stored) {
+    return null;
+  }
+  return buildTwoFactorOTPData(decryptValue(stored, `${this._id}:twoFactor.secret`), this.email);
+};
+
+// Check a two-factor code, rejecting codes from an already used time step.
+// The step is recorded compare-and-set, so two concurrent requests cannot both
+// use a code; it is written directly and never by a later save().
+userSchema.methods.verifyTwoFactorCode = async function(code, { pending = false } = {}) {
+  const otpData = this.getTwoFactorOTPData({ pending });
+  if (!otpData || !code) {
+    return false;
+  }
+
+  const result = OTPGenerator.verifyCode(otpData, String(code).replace(/\s/g, ''), {
+    window: 1,
+    lastUsedStep: this.twoFactor.lastUsedStep
+  });
+  if (!result.valid) {
+    return false;
+  }
+
+  const update = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: result.timeStep } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': result.timeStep } }
+  );
+  return update.modifiedCount === 1;
+};
+
+// Replace recovery codes; returns the plaintext codes to show once
+userSchema.methods.regenerateRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Consume a recovery code; compare-and-set like verifyTwoFactorCode
+userSchema.methods.useRecoveryCode = async function(code) {
+  if (!code) {
+    return false;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const update = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return update.modifiedCount === 1;
+};
+
+// Start a two-factor login; only the latest challenge is accepted, and only once
+userSchema.methods.issueTwoFactorChallenge = async function() {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await this.constructor.updateOne({ _id: this._id }, { $set: { 'twoFactor.challengeId': challengeId } });
+  return challengeId;
+};
+
+userSchema.methods.consumeTwoFactorChallenge = async function(challengeId) {
+  if (!challengeId) {
+    return false;
+  }
+
+  const update = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.challengeId': challengeId },
+    { $set: { 'twoFactor.challengeId': null } }
+  );
+  return update.modifiedCount === 1;
+};
+
+// Activate the confirmed pending secret; returns the new recovery codes
+userSchema.methods.enableTwoFactor = function() {
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  return this.regenerateRecoveryCodes();
+};
+
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = null;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.lastUsedStep = null;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.enabledAt = null;
+};
+
 // Get user's display name
 userSchema.virtual('displayName').get(function() {
   if (this.profile.firstName && this.profile.lastName) {
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { counterField } = require('../lib/counter-field');
+
+// Replay protection for codes verified without a saved entry (POST /api/otp/verify).
+// Keyed by a keyed hash of the secret, so the secret itself is never stored.
+const verificationStateSchema = new mongoose.Schema({
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // TOTP: time step of the last accepted code
+  lastUsedStep: {
+    type: Number,
+    default: null
+  },
+  // HOTP: counter expected next
+  nextCounter: counterField({ default: null }),
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('VerificationState', verificationStateSchema);
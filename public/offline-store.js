@@ -0,0 +1,126 @@
+/**
+ * Offline cache of the code list in IndexedDB
+ *
+ * One record holds the entries (with their secrets) and the changes made
+ * offline, AES-256-GCM encrypted under a key derived from a local PIN with
+ * PBKDF2. Only the number of pending changes is stored in the clear, so the
+ * page can ask for the PIN when there is something to sync.
+ */
+(function (root) {
+    const DB_NAME = 'otp-offline';
+    const STORE_NAME = 'cache';
+    const RECORD_ID = 'vault';
+    const PBKDF2_ITERATIONS = 600000;
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = root.indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function withStore(mode, action) {
+        const db = await openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = action(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    async function deriveKey(pin, salt, iterations) {
+        const material = await root.crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+        return root.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * The stored record without decrypting it
+     * @returns {Promise<Object|null>} - { savedAt, pendingChanges, ... } or null
+     */
+    function getRecord() {
+        return withStore('readonly', store => store.get(RECORD_ID)).then(record => record || null);
+    }
+
+    /**
+     * Encrypt and store a snapshot under a new PIN
+     * @param {string} pin - Local PIN
+     * @param {Object} snapshot - { username, entries, outbox }
+     * @returns {Promise<Object>} - Session to pass to write()
+     */
+    async function create(pin, snapshot) {
+        const salt = root.crypto.getRandomValues(new Uint8Array(16));
+        const session = { key: await deriveKey(pin, salt, PBKDF2_ITERATIONS), salt, iterations: PBKDF2_ITERATIONS };
+        await write(session, snapshot);
+        return session;
+    }
+
+    /**
+     * Decrypt the stored snapshot
+     * @param {string} pin - Local PIN
+     * @returns {Promise<Object>} - { session, snapshot }; rejects on a wrong PIN
+     */
+    async function open(pin) {
+        const record = await getRecord();
+        if (!record) {
+            throw new Error('No offline codes on this device');
+        }
+
+        const session = { key: await deriveKey(pin, record.salt, record.iterations), salt: record.salt, iterations: record.iterations };
+        let plaintext;
+        try {
+            plaintext = await root.crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, session.key, record.ciphertext);
+        } catch (error) {
+            throw new Error('Wrong offline PIN');
+        }
+        return { session, snapshot: JSON.parse(new TextDecoder().decode(plaintext)) };
+    }
+
+    /**
+     * Re-encrypt the snapshot with the key of an open session
+     * @param {Object} session - From create() or open()
+     * @param {Object} snapshot - { username, entries, outbox }
+     */
+    async function write(session, snapshot) {
+        const iv = root.crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await root.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            session.key,
+            new TextEncoder().encode(JSON.stringify(snapshot))
+        );
+
+        await withStore('readwrite', store => store.put({
+            id: RECORD_ID,
+            salt: session.salt,
+            iterations: session.iterations,
+            iv,
+            ciphertext,
+            savedAt: new Date().toISOString(),
+            pendingChanges: (snapshot.outbox || []).length
+        }));
+    }
+
+    function clear() {
+        return withStore('readwrite', store => store.delete(RECORD_ID));
+    }
+
+    root.OfflineStore = {
+        getRecord,
+        create,
+        open,
+        write,
+        clear
+    };
+})(globalThis);
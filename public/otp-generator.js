@@ -0,0 +1,190 @@
+/**
+ * Browser OTP generator
+ *
+ * The TOTP, HOTP, hex, Steam and Battle.net algorithms of
+ * services/otp-generator.js, on WebCrypto HMAC. index.html loads it as a
+ * classic script (window.BrowserOTP); test/browser-otp.test.js loads it
+ * with require() and checks it against the server generator's vectors.
+ * createSecretStore() holds the secrets of unlocked entries until they expire.
+ */
+(function (root) {
+    const BASE32_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const STEAM_CHARS = '23456789BCDFGHJKMNPQRTVWXY';
+    const MAX_COUNTER = 0xffffffffffffffffn;
+    const HASH_NAMES = { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512' };
+
+    const COUNTER_TYPES = ['hotp', 'hhex'];
+    const HEX_TYPES = ['hex', 'hhex'];
+    // Steam and Battle.net codes are always HMAC-SHA1 over 30 second steps from 0
+    const VENDOR_TYPES = ['steam', 'battle'];
+    const SUPPORTED_TYPES = ['totp', 'hotp', 'hex', 'hhex', ...VENDOR_TYPES];
+
+    /**
+     * Whether this module can generate codes for an entry
+     * @param {Object} otpData - OTP configuration
+     * @returns {boolean}
+     */
+    function isSupported(otpData) {
+        if (!SUPPORTED_TYPES.includes(otpData.type)) return false;
+        return VENDOR_TYPES.includes(otpData.type) || Boolean(HASH_NAMES[otpData.algorithm || 'SHA1']);
+    }
+
+    /**
+     * Generate the code of an entry at a moment
+     * @param {Object} otpData - OTP configuration
+     * @param {number} time - Unix timestamp, default now (ignored for HOTP)
+     * @returns {Promise<Object>} - { code, counter, period, timeRemaining }
+     */
+    async function generateCode(otpData, time = Math.floor(Date.now() / 1000)) {
+        if (!SUPPORTED_TYPES.includes(otpData.type)) {
+            throw new Error(`${otpData.type} codes are not supported in the browser`);
+        }
+
+        const counterBased = COUNTER_TYPES.includes(otpData.type);
+        const vendor = VENDOR_TYPES.includes(otpData.type);
+        const period = vendor ? 30 : (otpData.period || 30);
+        const t0 = vendor ? 0 : (otpData.t0 || 0);
+        if (!counterBased && time < t0) {
+            throw new Error(`Time ${time} is before the T0 epoch ${t0}`);
+        }
+        const counter = counterBased ? (otpData.counter || 0) : Math.floor((time - t0) / period);
+
+        const key = HEX_TYPES.includes(otpData.type) ? hexToBytes(otpData.secret) : base32ToBytes(otpData.secret);
+        const truncated = await truncatedHMAC(key, counter, vendor ? 'SHA1' : (otpData.algorithm || 'SHA1'));
+
+        let code;
+        if (otpData.type === 'steam') {
+            code = '';
+            let num = truncated;
+            for (let i = 0; i < 5; i++) {
+                code += STEAM_CHARS[num % STEAM_CHARS.length];
+                num = Math.floor(num / STEAM_CHARS.length);
+            }
+        } else {
+            const digits = otpData.type === 'battle' ? 8 : (otpData.digits || 6);
+            code = (truncated % Math.pow(10, digits)).toString().padStart(digits, '0');
+        }
+
+        return {
+            code,
+            counter,
+            period,
+            timeRemaining: counterBased ? null : period - ((time - t0) % period)
+        };
+    }
+
+    /**
+     * HMAC of the 8-byte counter, dynamically truncated to 31 bits (RFC 4226 section 5.3)
+     * @param {Uint8Array} key - Secret key
+     * @param {number|bigint|string} counter - Integer from 0 to 2^64 - 1
+     * @param {string} algorithm - SHA1, SHA256 or SHA512
+     * @returns {Promise<number>}
+     */
+    async function truncatedHMAC(key, counter, algorithm) {
+        const hashName = HASH_NAMES[algorithm];
+        if (!hashName) {
+            throw new Error(`Algorithm ${algorithm} is not supported in the browser`);
+        }
+
+        const value = BigInt(counter);
+        if (value < 0n || value > MAX_COUNTER) {
+            throw new Error(`Invalid counter: ${counter}, expected an integer from 0 to 2^64 - 1`);
+        }
+        const message = new Uint8Array(8);
+        new DataView(message.buffer).setBigUint64(0, value);
+
+        const hmacKey = await root.crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: hashName }, false, ['sign']);
+        const hash = new Uint8Array(await root.crypto.subtle.sign('HMAC', hmacKey, message));
+
+        const offset = hash[hash.length - 1] & 0x0f;
+        return new DataView(hash.buffer).getUint32(offset) & 0x7fffffff;
+    }
+
+    function base32ToBytes(base32) {
+        const clean = base32.toUpperCase().replace(/=/g, '');
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+
+        for (const char of clean) {
+            const val = BASE32_CHARS.indexOf(char);
+            if (val === -1) {
+                throw new Error(`Invalid Base32 character: ${char}`);
+            }
+            buffer = ((buffer << 5) | val) & 0x1fff;
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push((buffer >> bits) & 0xff);
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    function hexToBytes(hex) {
+        const padded = hex.length % 2 === 0 ? hex : `0${hex}`;
+        if (!/^[0-9a-f]*$/i.test(padded)) {
+            throw new Error('Invalid hex secret');
+        }
+        return new Uint8Array((padded.match(/../g) || []).map(byte => parseInt(byte, 16)));
+    }
+
+    /**
+     * In-memory store for secrets handed out by POST /api/otp/unlock
+     *
+     * Every read checks the deadline, so the secrets are gone at expiresAt even
+     * when the page's timer fires late (background tabs, a suspended laptop).
+     * @returns {Object} - { set, get, has, expiresAt, clear }
+     */
+    function createSecretStore() {
+        const secrets = new Map();
+        let deadline = null;
+
+        function expire(now) {
+            if (deadline !== null && now >= deadline) {
+                secrets.clear();
+                deadline = null;
+            }
+        }
+
+        return {
+            // Replace the secrets; expiresAt is in milliseconds, null keeps them until clear()
+            set(entries, expiresAt = null) {
+                secrets.clear();
+                entries.forEach(entry => secrets.set(entry.id, entry.otpData));
+                deadline = expiresAt;
+            },
+            get(id, now = Date.now()) {
+                expire(now);
+                return secrets.get(id) || null;
+            },
+            has(id, now = Date.now()) {
+                return this.get(id, now) !== null;
+            },
+            // The deadline, or null when nothing expires (locked, expired or offline codes)
+            expiresAt(now = Date.now()) {
+                expire(now);
+                return deadline;
+            },
+            clear() {
+                secrets.clear();
+                deadline = null;
+            }
+        };
+    }
+
+    const BrowserOTP = {
+        isSupported,
+        generateCode,
+        createSecretStore,
+        truncatedHMAC,
+        base32ToBytes,
+        hexToBytes
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = BrowserOTP;
+    } else {
+        root.BrowserOTP = BrowserOTP;
+    }
+})(globalThis);
@@ -5,6 +5,30 @@ let codeUpdateInterval = null;
 let currentOTPData = null;
 let savedCodes = [];
 
+// Codes of server-side entries pushed by the live code stream, by entry id
+const liveCodes = new Map();
+let liveCodeStream = null;
+let liveCodeStreamReady = false;
+
+// Secrets handed out by POST /api/otp/unlock (or kept offline), in memory until they expire
+const unlockedSecrets = BrowserOTP.createSecretStore();
+let unlockTimer = null;
+
+// Login waiting for its two-factor code
+let pendingLogin = null;
+
+// Zero-knowledge vault: the derived key and decrypted secrets only live in memory
+let vaultInfo = null;
+let vaultKey = null;
+const vaultSecrets = new Map();
+
+// Offline cache (offline-store.js): the open session and its decrypted snapshot.
+// offlineMode is set while codes come from the cache because the server is out of reach.
+let offlineSession = null;
+let offlineSnapshot = null;
+let offlineMode = false;
+let offlineSyncRunning = false;
+
 // DOM elements
 const authOverlay = document.getElementById('authOverlay');
 const authTabs = document.querySelectorAll('.auth-tab');
@@ -20,6 +44,9 @@ const myCodesContent = document.getElementById('myCodesContent');
 const myCodesEmpty = document.getElementById('myCodesEmpty');
 const searchCodes = document.getElementById('searchCodes');
 const refreshCodesBtn = document.getElementById('refreshCodesBtn');
+const unlockCodesBtn = document.getElementById('unlockCodesBtn');
+const saveOfflineBtn = document.getElementById('saveOfflineBtn');
+const syncConflicts = document.getElementById('syncConflicts');
 
 const uploadArea = document.getElementById('uploadArea');
 const fileInput = document.getElementById('fileInput');
@@ -29,10 +56,26 @@ const loadingSection = document.getElementById('loadingSection');
 const errorSection = document.getElementById('errorSection');
 const errorMessage = document.getElementById('errorMessage');
 const saveCodeBtn = document.getElementById('saveCodeBtn');
+const manualEntrySection = document.getElementById('manualEntrySection');
+const manualEntryForm = document.getElementById('manualEntryForm');
+const vaultSection = document.getElementById('vaultSection');
+const vaultStatus = document.getElementById('vaultStatus');
+const vaultForm = document.getElementById('vaultForm');
+const vaultSubmit = document.getElementById('vaultSubmit');
+const twoFactorForm = document.getElementById('twoFactorForm');
+const twoFactorFormSubmit = document.getElementById('twoFactorFormSubmit');
+const securitySection = document.getElementById('securitySection');
+const twoFactorStatus = document.getElementById('twoFactorStatus');
+const twoFactorSetupBtn = document.getElementById('twoFactorSetupBtn');
+const twoFactorEnableForm = document.getElementById('twoFactorEnableForm');
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
     setupEventListeners();
+    // The service worker keeps the app shell loading without a connection
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
     await checkAuthStatus();
 });
 
@@ -40,44 +83,123 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function checkAuthStatus() {
     const token = localStorage.getItem('authToken');
     if (token) {
+        authToken = token;
         try {
-            const response = await fetch('/api/auth/profile', {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+            // An expired access token is renewed with the stored refresh token
+            const response = await authFetch('/api/auth/profile');
 
             if (response.ok) {
                 const data = await response.json();
-                setAuthenticatedUser(data.user, token);
+                setAuthenticatedUser(data.user, authToken);
                 return;
             }
         } catch (error) {
+            // The server is out of reach: keep the tokens for when it is back
             console.error('Auth check failed:', error);
+            if (!await openOfflineCodes()) showAuthOverlay();
+            return;
         }
-        localStorage.removeItem('authToken');
+        clearStoredTokens();
+    } else if (!navigator.onLine && await openOfflineCodes()) {
+        return;
     }
     
     showAuthOverlay();
 }
 
-function setAuthenticatedUser(user, token) {
+function storeTokens(tokens) {
+    authToken = tokens.accessToken;
+    localStorage.setItem('authToken', tokens.accessToken);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+}
+
+function clearStoredTokens() {
+    authToken = null;
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+}
+
+// fetch() with the access token, refreshing it once when it has expired
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${authToken}`
+        }
+    });
+
+    let response = await send();
+    if (response.status === 401 && await refreshAccessToken()) {
+        response = await send();
+    }
+    return response;
+}
+
+// Refresh tokens are single-use, so concurrent callers share one refresh request
+let refreshInFlight = null;
+
+function refreshAccessToken() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    storeTokens(result.tokens);
+                    return true;
+                }
+            } catch (error) {
+                console.error('Token refresh failed:', error);
+            }
+            return false;
+        })().finally(() => {
+            refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+}
+
+async function setAuthenticatedUser(user, token, password) {
     currentUser = user;
     authToken = token;
     userName.textContent = user.displayName || user.username;
     hideAuthOverlay();
-    loadUserCodes();
+    updateTwoFactorUI();
+
+    await loadVaultInfo();
+    // The login password doubles as the vault password, so unlock straight away
+    if (isVaultMode() && password) {
+        await unlockVault(password);
+    }
+    updateVaultUI();
+    await loadUserCodes();
+    syncOfflineChanges();
 }
 
 function showAuthOverlay() {
     authOverlay.style.display = 'flex';
     myCodesSection.style.display = 'none';
+    manualEntrySection.style.display = 'none';
+    securitySection.style.display = 'none';
     userMenu.style.display = 'none';
 }
 
 function hideAuthOverlay() {
     authOverlay.style.display = 'none';
     myCodesSection.style.display = 'block';
+    manualEntrySection.style.display = 'block';
+    securitySection.style.display = 'block';
     userMenu.style.display = 'block';
 }
 
@@ -94,6 +216,11 @@ function setupEventListeners() {
     // Form submissions
     loginFormSubmit.addEventListener('submit', handleLogin);
     registerFormSubmit.addEventListener('submit', handleRegister);
+    twoFactorFormSubmit.addEventListener('submit', handleTwoFactorLogin);
+
+    // Two-factor enrollment
+    twoFactorSetupBtn.addEventListener('click', handleTwoFactorSetup);
+    twoFactorEnableForm.addEventListener('submit', handleTwoFactorEnable);
     
     // Logout
     logoutBtn.addEventListener('click', handleLogout);
@@ -101,6 +228,9 @@ function setupEventListeners() {
     // Search codes
     searchCodes.addEventListener('input', debounce(handleSearchCodes, 300));
     refreshCodesBtn.addEventListener('click', loadUserCodes);
+    unlockCodesBtn.addEventListener('click', toggleUnlockCodes);
+    saveOfflineBtn.addEventListener('click', saveOfflineCodes);
+    window.addEventListener('online', handleBackOnline);
 
     // File upload
     fileInput.addEventListener('change', handleFileUpload);
@@ -110,6 +240,12 @@ function setupEventListeners() {
     uploadArea.addEventListener('drop', handleFileDrop);
     uploadArea.addEventListener('click', () => fileInput.click());
 
+    // Manual entry
+    manualEntryForm.addEventListener('submit', handleManualEntry);
+
+    // Vault enable / unlock
+    vaultForm.addEventListener('submit', handleVaultSubmit);
+
     // Camera controls
     setupCameraControls();
 
@@ -128,6 +264,8 @@ function switchAuthTab(tab) {
         loginForm.style.display = 'none';
         registerForm.style.display = 'block';
     }
+    twoFactorForm.style.display = 'none';
+    pendingLogin = null;
     
     clearAuthErrors();
 }
@@ -135,6 +273,7 @@ function switchAuthTab(tab) {
 function clearAuthErrors() {
     document.getElementById('loginError').style.display = 'none';
     document.getElementById('registerError').style.display = 'none';
+    document.getElementById('twoFactorError').style.display = 'none';
 }
 
 function showAuthError(formType, message) {
@@ -161,9 +300,15 @@ async function handleLogin(e) {
         
         const result = await response.json();
         
-        if (result.success) {
-            localStorage.setItem('authToken', result.tokens.accessToken);
-            setAuthenticatedUser(result.user, result.tokens.accessToken);
+        if (result.success && result.twoFactorRequired) {
+            // Keep the password in memory only to unlock the vault afterwards
+            pendingLogin = { challengeToken: result.challengeToken, password: data.password };
+            loginForm.style.display = 'none';
+            twoFactorForm.style.display = 'block';
+            document.getElementById('twoFactorCode').focus();
+        } else if (result.success) {
+            storeTokens(result.tokens);
+            setAuthenticatedUser(result.user, result.tokens.accessToken, data.password);
         } else {
             showAuthError('login', result.error || 'Login failed');
         }
@@ -173,6 +318,113 @@ async function handleLogin(e) {
     }
 }
 
+async function handleTwoFactorLogin(e) {
+    e.preventDefault();
+    clearAuthErrors();
+    if (!pendingLogin) return;
+
+    const code = new FormData(e.target).get('code').trim();
+    // Authenticator codes are digits only; recovery codes look like xxxxx-xxxxx
+    const payload = /^\d+$/.test(code.replace(/\s/g, ''))
+        ? { challengeToken: pendingLogin.challengeToken, code: code.replace(/\s/g, '') }
+        : { challengeToken: pendingLogin.challengeToken, recoveryCode: code };
+
+    try {
+        const response = await fetch('/api/auth/login/2fa', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            const { password } = pendingLogin;
+            pendingLogin = null;
+            e.target.reset();
+            twoFactorForm.style.display = 'none';
+            loginForm.style.display = 'block';
+            storeTokens(result.tokens);
+            setAuthenticatedUser(result.user, result.tokens.accessToken, password);
+        } else if (result.code === 'INVALID_CHALLENGE') {
+            switchAuthTab('login');
+            showAuthError('login', result.error);
+        } else {
+            showAuthError('twoFactor', result.error || 'Verification failed');
+        }
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        showAuthError('twoFactor', 'Network error. Please try again.');
+    }
+}
+
+// Two-factor enrollment
+function updateTwoFactorUI() {
+    const enabled = Boolean(currentUser && currentUser.twoFactorEnabled);
+    twoFactorStatus.textContent = enabled
+        ? '✅ Two-factor login is enabled for this account.'
+        : 'Protect this account with a code from an authenticator app in addition to your password.';
+    twoFactorSetupBtn.style.display = enabled ? 'none' : 'inline-block';
+}
+
+async function handleTwoFactorSetup() {
+    try {
+        const response = await authFetch('/api/auth/2fa/setup', {
+            method: 'POST'
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            showNotification(result.error || 'Failed to start setup', 'error');
+            return;
+        }
+
+        document.getElementById('twoFactorQr').src = result.qrCode;
+        document.getElementById('twoFactorSecret').textContent = result.secret;
+        document.getElementById('twoFactorSetup').style.display = 'block';
+        twoFactorSetupBtn.style.display = 'none';
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        showNotification('Failed to start setup', 'error');
+    }
+}
+
+async function handleTwoFactorEnable(e) {
+    e.preventDefault();
+    const code = new FormData(e.target).get('code').replace(/\s/g, '');
+
+    try {
+        const response = await authFetch('/api/auth/2fa/enable', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            showNotification(result.error || 'Invalid code', 'error');
+            return;
+        }
+
+        e.target.reset();
+        currentUser.twoFactorEnabled = true;
+        document.getElementById('twoFactorSetup').style.display = 'none';
+        document.getElementById('recoveryCodeList').innerHTML = result.recoveryCodes
+            .map(recoveryCode => `<li>${escapeHtml(recoveryCode)}</li>`)
+            .join('');
+        document.getElementById('recoveryCodes').style.display = 'block';
+        updateTwoFactorUI();
+        showNotification('Two-factor login enabled');
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        showNotification('Failed to enable two-factor login', 'error');
+    }
+}
+
 async function handleRegister(e) {
     e.preventDefault();
     clearAuthErrors();
@@ -192,7 +444,7 @@ async function handleRegister(e) {
         const result = await response.json();
         
         if (result.success) {
-            localStorage.setItem('authToken', result.tokens.accessToken);
+            storeTokens(result.tokens);
             setAuthenticatedUser(result.user, result.tokens.accessToken);
         } else {
             showAuthError('register', result.error || 'Registration failed');
@@ -205,21 +457,27 @@ async function handleRegister(e) {
 
 async function handleLogout() {
     try {
-        await fetch('/api/auth/logout', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
+        await authFetch('/api/auth/logout', {
+            method: 'POST'
         });
     } catch (error) {
         console.error('Logout error:', error);
     }
     
-    localStorage.removeItem('authToken');
+    clearStoredTokens();
     currentUser = null;
-    authToken = null;
     savedCodes = [];
+    document.getElementById('recoveryCodes').style.display = 'none';
+    document.getElementById('recoveryCodeList').innerHTML = '';
+    document.getElementById('twoFactorSetup').style.display = 'none';
+    lockVault();
     stopLiveCodeUpdates();
+    closeLiveCodeStream();
+    lockCodes();
+    // The encrypted cache stays on the device; only its key is forgotten
+    offlineSession = null;
+    offlineSnapshot = null;
+    offlineMode = false;
     showAuthOverlay();
 }
 
@@ -228,15 +486,12 @@ async function loadUserCodes() {
     if (!authToken) return;
     
     try {
-        const response = await fetch('/api/otp', {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        const response = await authFetch('/api/otp');
         
         if (response.ok) {
             const data = await response.json();
             savedCodes = data.entries || [];
+            await decryptVaultSecrets(savedCodes);
             displayUserCodes(savedCodes);
         }
     } catch (error) {
@@ -270,6 +525,7 @@ function generateCodeCard(codeEntry) {
                 </div>
                 <div class="code-actions">
                     <button class="copy-code-btn" onclick="generateAndCopyCode('${codeEntry.id}')">📋</button>
+                    <button class="setup-key-btn" onclick="copySetupUrl('${codeEntry.id}')" title="Copy setup URL">🔑</button>
                     <button class="delete-code-btn" onclick="deleteCode('${codeEntry.id}')">🗑️</button>
                 </div>
             </div>
@@ -287,19 +543,39 @@ function generateCodeCard(codeEntry) {
 }
 
 async function generateAndCopyCode(codeId) {
-    if (!authToken) return;
+    if (!authToken && !offlineMode) return;
+
+    const codeEntry = savedCodes.find(code => code.id === codeId);
+    if (codeEntry && codeEntry.clientEncrypted) {
+        await generateAndCopyVaultCode(codeEntry);
+        return;
+    }
     
+    // Unlocked entries need no round trip
+    const unlocked = unlockedSecrets.get(codeId);
+    if (unlocked) {
+        try {
+            const { code } = await displayBrowserCode(codeEntry, unlocked);
+            await copyToClipboard(code);
+            showNotification('Code copied to clipboard!');
+        } catch (error) {
+            console.error('Failed to generate code:', error);
+            showNotification('Failed to generate code', 'error');
+        }
+        return;
+    }
+
     try {
-        const response = await fetch(`/api/otp/${codeId}/generate`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
+        // HOTP codes are handed out once: the counter advances on the server
+        const counterBased = codeEntry && (codeEntry.type === 'hotp' || codeEntry.type === 'hhex');
+        const response = await authFetch(`/api/otp/${codeId}/${counterBased ? 'consume' : 'generate'}`, {
+            method: 'POST'
         });
         
         if (response.ok) {
             const data = await response.json();
             const code = data.currentCode.code;
+            if (counterBased) codeEntry.counter = data.nextCounter;
             
             // Update display
             document.getElementById(`code-${codeId}`).textContent = code;
@@ -316,15 +592,64 @@ async function generateAndCopyCode(codeId) {
     }
 }
 
-async function deleteCode(codeId) {
-    if (!authToken || !confirm('Are you sure you want to delete this OTP code?')) return;
-    
+// Copy the entry's otpauth:// URL, after confirming the password (and a 2FA code)
+async function copySetupUrl(codeId) {
+    if (!authToken) return;
+
+    const password = prompt('Enter your password to reveal the setup key');
+    if (!password) return;
+
+    const body = { password };
+    if (currentUser && currentUser.twoFactorEnabled) {
+        body.code = prompt('Enter your two-factor code');
+        if (!body.code) return;
+    }
+
     try {
-        const response = await fetch(`/api/otp/${codeId}`, {
-            method: 'DELETE',
+        const response = await authFetch(`/api/otp/${codeId}/setup-key`, {
+            method: 'POST',
             headers: {
-                'Authorization': `Bearer ${authToken}`
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        // Vault secrets never reach the server, so the URL is built here
+        let otpUrl = result.otpUrl;
+        if (result.code === 'CLIENT_ENCRYPTED') {
+            const otpData = vaultOTPData(savedCodes.find(code => code.id === codeId));
+            if (!otpData) {
+                showNotification('Unlock the vault to reveal this setup key', 'error');
+                return;
             }
+            otpUrl = buildOtpauthUrl(otpData);
+        } else if (!response.ok) {
+            showNotification(result.error || 'Failed to reveal setup key', 'error');
+            return;
+        }
+
+        await copyToClipboard(otpUrl);
+        showNotification(result.pinRequired
+            ? 'Setup URL copied - the PIN is not included'
+            : 'Setup URL copied to clipboard');
+    } catch (error) {
+        console.error('Failed to reveal setup key:', error);
+        showNotification('Failed to reveal setup key', 'error');
+    }
+}
+
+async function deleteCode(codeId) {
+    if ((!authToken && !offlineMode) || !confirm('Are you sure you want to delete this OTP code?')) return;
+
+    if (offlineMode) {
+        await deleteOfflineCode(codeId);
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`/api/otp/${codeId}`, {
+            method: 'DELETE'
         });
         
         if (response.ok) {
@@ -343,42 +668,156 @@ async function deleteCode(codeId) {
 }
 
 function startLiveCodeUpdatesForSavedCodes() {
-    // Update codes every second for TOTP entries
+    // Server-side codes arrive over one stream; the timers count down locally.
+    // The stream starts over when an entry it has not sent yet was added.
+    const missing = savedCodes.some(codeEntry => isStreamedEntry(codeEntry) && !liveCodes.has(codeEntry.id));
+    if (missing && !offlineMode && (!liveCodeStream || liveCodeStreamReady)) {
+        openLiveCodeStream();
+    }
+
     if (codeUpdateInterval) clearInterval(codeUpdateInterval);
     
-    codeUpdateInterval = setInterval(() => {
+    const update = () => {
         savedCodes.forEach(async (codeEntry) => {
-            if (codeEntry.type === 'totp') {
-                try {
-                    const response = await fetch(`/api/otp/${codeEntry.id}/generate`, {
-                        method: 'POST',
-                        headers: {
-                            'Authorization': `Bearer ${authToken}`
-                        }
-                    });
-                    
-                    if (response.ok) {
-                        const data = await response.json();
-                        const currentCode = data.currentCode;
-                        
-                        // Update display
-                        const codeElement = document.getElementById(`code-${codeEntry.id}`);
-                        const timerElement = document.getElementById(`timer-${codeEntry.id}`);
-                        const progressElement = document.getElementById(`timer-progress-${codeEntry.id}`);
-                        
-                        if (codeElement) codeElement.textContent = currentCode.code;
-                        if (timerElement) timerElement.textContent = `${currentCode.timeRemaining}s remaining`;
-                        if (progressElement) {
-                            const progress = ((currentCode.period - currentCode.timeRemaining) / currentCode.period) * 100;
-                            progressElement.style.width = `${progress}%`;
-                        }
-                    }
-                } catch (error) {
-                    console.error('Failed to update code:', error);
+            if (codeEntry.clientEncrypted) {
+                // HOTP codes are only computed on request
+                if (codeEntry.type !== 'hotp' && codeEntry.type !== 'hhex') {
+                    await updateVaultCodeDisplay(codeEntry);
                 }
+            } else if (unlockedSecrets.has(codeEntry.id)) {
+                await displayBrowserCode(codeEntry, unlockedSecrets.get(codeEntry.id));
+            } else if (isStreamedEntry(codeEntry)) {
+                updateStreamedCodeDisplay(codeEntry);
             }
         });
-    }, 1000);
+        updateUnlockButton();
+    };
+    update();
+    codeUpdateInterval = setInterval(update, 1000);
+}
+
+// Time-based entries whose codes the server computes
+function isStreamedEntry(codeEntry) {
+    return !codeEntry.clientEncrypted && !['hotp', 'hhex', 'ocra'].includes(codeEntry.type);
+}
+
+function updateStreamedCodeDisplay(codeEntry) {
+    const liveCode = liveCodes.get(codeEntry.id);
+    if (!liveCode || liveCode.pinRequired) return;
+
+    // The server could not decrypt this entry or generate its codes; the others still update
+    if (liveCode.error) {
+        const codeElement = document.getElementById(`code-${codeEntry.id}`);
+        const timerElement = document.getElementById(`timer-${codeEntry.id}`);
+        if (codeElement) codeElement.textContent = 'Unavailable';
+        if (timerElement) timerElement.textContent = liveCode.error === 'DECRYPTION_ERROR'
+            ? 'Secret cannot be decrypted'
+            : 'Code cannot be generated';
+        return;
+    }
+
+    // Between the period boundary and the pushed event, the next code is already known
+    const expired = Date.now() >= liveCode.validUntil;
+    const code = expired ? liveCode.nextCode : liveCode.code;
+    const validUntil = expired ? liveCode.validUntil + liveCode.period * 1000 : liveCode.validUntil;
+    const timeRemaining = Math.max(0, Math.ceil((validUntil - Date.now()) / 1000));
+
+    const codeElement = document.getElementById(`code-${codeEntry.id}`);
+    const timerElement = document.getElementById(`timer-${codeEntry.id}`);
+    const progressElement = document.getElementById(`timer-progress-${codeEntry.id}`);
+
+    if (codeElement) codeElement.textContent = code;
+    if (timerElement) timerElement.textContent = `${timeRemaining}s remaining`;
+    if (progressElement) {
+        const progress = ((liveCode.period - timeRemaining) / liveCode.period) * 100;
+        progressElement.style.width = `${progress}%`;
+    }
+}
+
+// Keep one GET /api/otp/codes/stream open, reconnecting when it ends (e.g. the access token expired)
+async function openLiveCodeStream() {
+    closeLiveCodeStream();
+    const controller = new AbortController();
+    liveCodeStream = controller;
+
+    while (liveCodeStream === controller && authToken) {
+        try {
+            const response = await authFetch('/api/otp/codes/stream', { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Live code stream failed with status ${response.status}`);
+            }
+
+            await readEventStream(response, (event, data) => {
+                if (event !== 'codes') return;
+                liveCodeStreamReady = true;
+                JSON.parse(data).entries.forEach((entry) => {
+                    liveCodes.set(entry.id, {
+                        ...entry,
+                        validUntil: new Date(entry.validUntil).getTime()
+                    });
+                });
+            });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('Live code stream error:', error);
+
+            // Keep the codes current with one bulk request, then try the stream again
+            await refreshLiveCodes();
+            await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+    }
+}
+
+function closeLiveCodeStream() {
+    if (liveCodeStream) {
+        liveCodeStream.abort();
+        liveCodeStream = null;
+    }
+    liveCodeStreamReady = false;
+    liveCodes.clear();
+}
+
+async function refreshLiveCodes() {
+    try {
+        const response = await authFetch('/api/otp/codes');
+        if (response.ok) {
+            const data = await response.json();
+            data.entries.forEach((entry) => {
+                liveCodes.set(entry.id, {
+                    ...entry,
+                    validUntil: new Date(entry.validUntil).getTime()
+                });
+            });
+        }
+    } catch (error) {
+        console.error('Failed to refresh codes:', error);
+    }
+}
+
+// Minimal text/event-stream reader: EventSource cannot send the Authorization header
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach((block) => {
+            let event = 'message';
+            const data = [];
+            block.split('\n').forEach((line) => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+            });
+            if (data.length > 0) onEvent(event, data.join('\n'));
+        });
+    }
 }
 
 function handleSearchCodes(e) {
@@ -415,6 +854,12 @@ function handleFileDrop(e) {
 }
 
 async function processFile(file) {
+    // Vault secrets must never reach the server, so decode the QR code here
+    if (isVaultMode()) {
+        await processFileInBrowser(file);
+        return;
+    }
+
     showLoading();
     
     const formData = new FormData();
@@ -427,11 +872,8 @@ async function processFile(file) {
         if (authToken) {
             // Use authenticated endpoint to save to user's collection
             endpoint = '/api/otp/upload';
-            response = await fetch(endpoint, {
+            response = await authFetch(endpoint, {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${authToken}`
-                },
                 body: formData
             });
         } else {
@@ -459,6 +901,878 @@ async function processFile(file) {
     }
 }
 
+// Manual entry handling
+async function handleManualEntry(e) {
+    e.preventDefault();
+    if (!authToken && !offlineMode) return;
+
+    const formData = new FormData(e.target);
+    const data = Object.fromEntries(formData);
+
+    if (offlineMode) {
+        try {
+            await addOfflineCode(data.otpUrl
+                ? parseOtpauthUrl(data.otpUrl.trim())
+                : normalizeManualEntry(data));
+            manualEntryForm.reset();
+        } catch (error) {
+            showError(error.message);
+        }
+        return;
+    }
+
+    if (isVaultMode()) {
+        try {
+            const otpData = data.otpUrl
+                ? parseOtpauthUrl(data.otpUrl.trim())
+                : normalizeManualEntry(data);
+            await createVaultEntry(otpData);
+            manualEntryForm.reset();
+        } catch (error) {
+            showError(error.message);
+        }
+        return;
+    }
+
+    // Send either the pasted URL or the individual fields, not both
+    const payload = data.otpUrl
+        ? { otpUrl: data.otpUrl.trim() }
+        : { issuer: data.issuer, account: data.account, secret: data.secret, type: data.type };
+    // mOTP and Yandex.Key URLs never include the PIN
+    if (data.pin) {
+        payload.pin = data.pin;
+    }
+
+    showLoading();
+
+    try {
+        const response = await authFetch('/api/otp', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            manualEntryForm.reset();
+            showResults(result);
+            loadUserCodes();
+        } else {
+            showError(result.error || 'Failed to add code');
+        }
+    } catch (error) {
+        console.error('Manual entry error:', error);
+        showError('Network error. Please try again.');
+    }
+}
+
+// Zero-knowledge vault
+//
+// In vault mode secrets are encrypted here with AES-GCM under a key derived
+// from the account password (PBKDF2, parameters from /api/vault). The server
+// only stores "zk:v1:<iv>:<ciphertext>" values and never generates codes.
+const VAULT_KEY_CHECK = 'otp-vault-key-check';
+
+async function loadVaultInfo() {
+    try {
+        const response = await authFetch('/api/vault');
+
+        if (response.ok) {
+            const data = await response.json();
+            vaultInfo = data.vault;
+        }
+    } catch (error) {
+        console.error('Failed to load vault settings:', error);
+    }
+}
+
+function isVaultMode() {
+    return Boolean(vaultInfo && vaultInfo.mode === 'client');
+}
+
+function updateVaultUI() {
+    vaultSection.style.display = authToken ? 'block' : 'none';
+
+    if (!isVaultMode()) {
+        vaultStatus.textContent = 'Secrets are encrypted by the server. Enable the vault to encrypt them in this browser instead - the server will no longer be able to read them.';
+        vaultSubmit.textContent = 'Enable Vault';
+        vaultForm.style.display = 'flex';
+    } else if (!vaultKey) {
+        vaultStatus.textContent = '🔒 Vault locked. Enter your password to show your codes.';
+        vaultSubmit.textContent = 'Unlock';
+        vaultForm.style.display = 'flex';
+    } else {
+        vaultStatus.textContent = '🔓 Vault unlocked. Codes are generated in this browser.';
+        vaultForm.style.display = 'none';
+    }
+}
+
+async function handleVaultSubmit(e) {
+    e.preventDefault();
+    const password = new FormData(e.target).get('password');
+
+    if (isVaultMode()) {
+        if (await unlockVault(password)) {
+            vaultForm.reset();
+            updateVaultUI();
+            loadUserCodes();
+        } else {
+            showNotification('Wrong password', 'error');
+        }
+        return;
+    }
+
+    if (!confirm('Encrypt all secrets in this browser? Codes can then only be generated after entering your password here.')) return;
+
+    try {
+        await enableVault(password);
+        vaultForm.reset();
+        updateVaultUI();
+        loadUserCodes();
+        showNotification('Vault enabled');
+    } catch (error) {
+        console.error('Vault enable failed:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function enableVault(password) {
+    const exportResponse = await authFetch('/api/vault/export-secrets', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ password })
+    });
+    const exported = await exportResponse.json();
+    if (!exported.success) {
+        throw new Error(exported.error || 'Failed to export secrets');
+    }
+
+    const kdf = {
+        salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+        iterations: vaultInfo.defaults.iterations
+    };
+    const key = await deriveVaultKey(password, kdf);
+
+    // Every current entry is re-encrypted before the server switches modes
+    const entries = [];
+    for (const entry of exported.entries) {
+        entries.push({
+            id: entry.id,
+            encryptedSecret: await encryptForVault(key, entry.secret),
+            encryptedUrl: await encryptForVault(key, entry.originalUrl || ''),
+            encryptedPin: entry.pin ? await encryptForVault(key, entry.pin) : undefined
+        });
+    }
+
+    const enableResponse = await authFetch('/api/vault/enable', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            password,
+            kdf,
+            keyCheck: await encryptForVault(key, VAULT_KEY_CHECK),
+            entries
+        })
+    });
+    const result = await enableResponse.json();
+    if (!result.success) {
+        throw new Error(result.error || 'Failed to enable vault');
+    }
+
+    vaultInfo = { ...vaultInfo, ...result.vault };
+    vaultKey = key;
+}
+
+async function unlockVault(password) {
+    try {
+        const key = await deriveVaultKey(password, vaultInfo.kdf);
+        if (await decryptFromVault(key, vaultInfo.keyCheck) !== VAULT_KEY_CHECK) {
+            return false;
+        }
+        vaultKey = key;
+        return true;
+    } catch (error) {
+        // AES-GCM rejects ciphertext under the wrong key
+        return false;
+    }
+}
+
+function lockVault() {
+    vaultInfo = null;
+    vaultKey = null;
+    vaultSecrets.clear();
+    vaultSection.style.display = 'none';
+}
+
+async function deriveVaultKey(password, kdf) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(kdf.salt), iterations: kdf.iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptForVault(key, plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext)
+    );
+    return `zk:v1:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+async function decryptFromVault(key, value) {
+    const [, , iv, ciphertext] = value.split(':');
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+}
+
+async function decryptVaultSecrets(entries) {
+    if (!vaultKey) return;
+
+    for (const entry of entries) {
+        if (entry.clientEncrypted && entry.encryptedSecret && !vaultSecrets.has(entry.id)) {
+            try {
+                vaultSecrets.set(entry.id, await decryptFromVault(vaultKey, entry.encryptedSecret));
+            } catch (error) {
+                console.error(`Could not decrypt secret for ${entry.id}:`, error);
+            }
+        }
+    }
+}
+
+async function createVaultEntry(otpData) {
+    if (!vaultKey) {
+        throw new Error('Unlock your vault before adding codes');
+    }
+
+    // Fails early on secrets that cannot be decoded
+    await generateOTPInBrowser(otpData);
+
+    const response = await authFetch('/api/otp', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(await vaultEntryPayload(otpData))
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error || 'Failed to add code');
+    }
+
+    showNotification(`${otpData.issuer || otpData.account} added to your vault`);
+    loadUserCodes();
+}
+
+// Body of POST /api/otp for a vault entry: the secret and URL only leave as ciphertext
+async function vaultEntryPayload(otpData) {
+    return {
+        type: otpData.type,
+        issuer: otpData.issuer,
+        account: otpData.account,
+        algorithm: otpData.algorithm,
+        digits: otpData.digits,
+        period: otpData.period,
+        counter: otpData.counter,
+        encryptedSecret: await encryptForVault(vaultKey, otpData.secret),
+        encryptedUrl: await encryptForVault(vaultKey, buildOtpauthUrl(otpData))
+    };
+}
+
+async function processFileInBrowser(file) {
+    if (!('BarcodeDetector' in window)) {
+        showError('This browser cannot read QR codes locally. Paste the otpauth:// URL instead.');
+        return;
+    }
+
+    try {
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        const codes = await detector.detect(await createImageBitmap(file));
+        if (codes.length === 0) {
+            throw new Error('No QR code found in image');
+        }
+        if (!codes[0].rawValue.startsWith('otpauth://')) {
+            throw new Error('Only otpauth:// QR codes can be added to the vault');
+        }
+        await createVaultEntry(parseOtpauthUrl(codes[0].rawValue));
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function generateAndCopyVaultCode(codeEntry) {
+    try {
+        const code = codeEntry.type === 'hotp' || codeEntry.type === 'hhex'
+            ? await consumeVaultCode(codeEntry)
+            : await updateVaultCodeDisplay(codeEntry);
+        if (!code) return;
+
+        await copyToClipboard(code);
+        showNotification('Code copied to clipboard!');
+    } catch (error) {
+        console.error('Failed to generate code:', error);
+        showNotification('Failed to generate code', 'error');
+    }
+}
+
+async function updateVaultCodeDisplay(codeEntry) {
+    const codeElement = document.getElementById(`code-${codeEntry.id}`);
+    const timerElement = document.getElementById(`timer-${codeEntry.id}`);
+
+    const otpData = vaultOTPData(codeEntry);
+    if (!otpData) {
+        if (codeElement) codeElement.textContent = '🔒';
+        if (timerElement) timerElement.textContent = 'Vault locked';
+        return null;
+    }
+
+    const currentCode = await displayBrowserCode(codeEntry, otpData);
+    return currentCode.code;
+}
+
+// Compute a code in the browser and show it on the entry's card
+async function displayBrowserCode(codeEntry, otpData) {
+    const codeElement = document.getElementById(`code-${codeEntry.id}`);
+    const timerElement = document.getElementById(`timer-${codeEntry.id}`);
+    const progressElement = document.getElementById(`timer-progress-${codeEntry.id}`);
+
+    const counterBased = otpData.type === 'hotp' || otpData.type === 'hhex';
+    const currentCode = await generateOTPInBrowser(otpData);
+    if (codeElement) codeElement.textContent = currentCode.code;
+    if (!counterBased) {
+        if (timerElement) timerElement.textContent = `${currentCode.timeRemaining}s remaining`;
+        if (progressElement) {
+            const progress = ((currentCode.period - currentCode.timeRemaining) / currentCode.period) * 100;
+            progressElement.style.width = `${progress}%`;
+        }
+    }
+    return currentCode;
+}
+
+// Fetch the secrets of time-based entries so their codes keep working without the server
+async function toggleUnlockCodes() {
+    if (!authToken) return;
+    if (unlockedSecrets.expiresAt()) {
+        lockCodes();
+        showNotification('Codes locked');
+        return;
+    }
+
+    const password = prompt('Enter your password to generate codes in this browser');
+    if (!password) return;
+
+    const body = { password };
+    if (currentUser && currentUser.twoFactorEnabled) {
+        body.code = prompt('Enter your two-factor code');
+        if (!body.code) return;
+    }
+
+    try {
+        const response = await authFetch('/api/otp/unlock', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showNotification(result.error || 'Failed to unlock codes', 'error');
+            return;
+        }
+
+        const expiresAt = new Date(result.expiresAt).getTime();
+        unlockedSecrets.set(result.entries, expiresAt);
+        // The store drops the secrets by itself; the timer only refreshes the page on time
+        unlockTimer = setTimeout(lockCodes, expiresAt - Date.now());
+        updateUnlockButton();
+        showNotification(`Codes are generated in this browser until ${new Date(expiresAt).toLocaleTimeString()}`);
+    } catch (error) {
+        console.error('Failed to unlock codes:', error);
+        showNotification('Failed to unlock codes', 'error');
+    }
+}
+
+function lockCodes() {
+    if (unlockTimer) clearTimeout(unlockTimer);
+    unlockTimer = null;
+    unlockedSecrets.clear();
+    updateUnlockButton();
+}
+
+function updateUnlockButton() {
+    const expiresAt = unlockedSecrets.expiresAt();
+    if (!expiresAt) {
+        unlockCodesBtn.textContent = '🔓 Unlock';
+        return;
+    }
+
+    const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+    const remaining = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    unlockCodesBtn.textContent = `🔒 Lock (${remaining})`;
+}
+
+// HOTP codes use a counter claimed on the server, so two tabs never show the same code
+async function consumeVaultCode(codeEntry) {
+    const otpData = vaultOTPData(codeEntry);
+    if (!otpData) return updateVaultCodeDisplay(codeEntry);
+
+    const response = await authFetch(`/api/otp/${codeEntry.id}/consume`, {
+        method: 'POST'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to advance counter');
+    }
+
+    const { code } = await generateOTPInBrowser({ ...otpData, counter: data.counter });
+    codeEntry.counter = data.nextCounter;
+
+    const codeElement = document.getElementById(`code-${codeEntry.id}`);
+    if (codeElement) codeElement.textContent = code;
+    return code;
+}
+
+function vaultOTPData(codeEntry) {
+    const secret = vaultSecrets.get(codeEntry.id);
+    if (!secret) return null;
+
+    return {
+        type: codeEntry.type,
+        issuer: codeEntry.issuer || '',
+        account: codeEntry.accountName,
+        secret,
+        algorithm: codeEntry.algorithm || 'SHA1',
+        digits: codeEntry.digits || 6,
+        period: codeEntry.period || 30,
+        t0: codeEntry.t0 || 0,
+        counter: codeEntry.counter || 0
+    };
+}
+
+// Offline mode
+//
+// "Save offline" stores the entries with their secrets in IndexedDB, encrypted
+// under a key derived from a local PIN (offline-store.js). Without a server
+// the codes are generated from that cache, and adds and deletes wait in its
+// outbox until syncOfflineChanges() replays them against /api/otp.
+
+// Keep the codes on this device for when the server is out of reach
+async function saveOfflineCodes() {
+    if (!authToken || offlineMode) return;
+
+    // A new snapshot would drop changes that are still waiting
+    await syncOfflineChanges();
+    const record = await OfflineStore.getRecord();
+    if (record && record.pendingChanges > 0) {
+        showNotification('Sync the changes made offline before saving again', 'error');
+        return;
+    }
+
+    // Secrets of server-side entries come from POST /api/otp/unlock
+    if (!unlockedSecrets.expiresAt() && savedCodes.some(codeEntry => !codeEntry.clientEncrypted)) {
+        await toggleUnlockCodes();
+        if (!unlockedSecrets.expiresAt()) return;
+    }
+
+    const entries = [];
+    savedCodes.forEach((codeEntry) => {
+        const otpData = codeEntry.clientEncrypted ? vaultOTPData(codeEntry) : unlockedSecrets.get(codeEntry.id);
+        // HOTP counters are claimed on the server, so those codes need a connection
+        if (!otpData || !BrowserOTP.isSupported(otpData) || otpData.type === 'hotp' || otpData.type === 'hhex') return;
+
+        entries.push({
+            id: codeEntry.id,
+            serviceName: codeEntry.serviceName,
+            accountName: codeEntry.accountName,
+            issuer: codeEntry.issuer,
+            type: codeEntry.type,
+            version: codeEntry.version,
+            otpData
+        });
+    });
+
+    const snapshot = { username: currentUser.username, entries, outbox: [] };
+    try {
+        if (offlineSession && offlineSnapshot && offlineSnapshot.username === currentUser.username) {
+            await OfflineStore.write(offlineSession, snapshot);
+        } else {
+            const pin = prompt('Choose a PIN for the codes kept on this device (at least 6 characters)');
+            if (!pin) return;
+            if (pin.length < 6) {
+                showNotification('The offline PIN needs at least 6 characters', 'error');
+                return;
+            }
+            if (prompt('Enter the PIN again') !== pin) {
+                showNotification('The PINs do not match', 'error');
+                return;
+            }
+            offlineSession = await OfflineStore.create(pin, snapshot);
+        }
+        offlineSnapshot = snapshot;
+    } catch (error) {
+        console.error('Failed to save offline codes:', error);
+        showNotification('Failed to save codes on this device', 'error');
+        return;
+    }
+
+    const skipped = savedCodes.length - entries.length;
+    showNotification(`${entries.length} codes saved on this device${skipped > 0 ? ` (${skipped} need a connection)` : ''}`);
+}
+
+// Show the codes saved on this device when the server cannot be reached
+async function openOfflineCodes() {
+    const record = await OfflineStore.getRecord().catch(() => null);
+    if (!record) return false;
+
+    const pin = prompt(`The server cannot be reached. Enter your offline PIN to use the codes saved ${new Date(record.savedAt).toLocaleString()}`);
+    if (!pin) return false;
+
+    try {
+        ({ session: offlineSession, snapshot: offlineSnapshot } = await OfflineStore.open(pin));
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return false;
+    }
+
+    offlineMode = true;
+    userName.textContent = `${offlineSnapshot.username} (offline)`;
+    hideAuthOverlay();
+    showOfflineCodes();
+    return true;
+}
+
+function showOfflineCodes() {
+    // The PIN protects these, so they stay until the page leaves offline mode
+    unlockedSecrets.set(offlineSnapshot.entries);
+    savedCodes = offlineSnapshot.entries;
+    displayUserCodes(savedCodes);
+}
+
+// Leave offline mode once the server answers again, then sync what changed meanwhile
+async function handleBackOnline() {
+    if (!offlineMode) {
+        syncOfflineChanges();
+        return;
+    }
+
+    try {
+        const response = await authFetch('/api/auth/profile');
+        offlineMode = false;
+        unlockedSecrets.clear();
+        if (response.ok) {
+            const data = await response.json();
+            await setAuthenticatedUser(data.user, authToken);
+        } else {
+            // Signing in again syncs the outbox
+            clearStoredTokens();
+            showAuthOverlay();
+        }
+    } catch (error) {
+        console.error('Server still unreachable:', error);
+    }
+}
+
+async function addOfflineCode(otpData) {
+    if (otpData.type === 'hotp' || otpData.type === 'hhex') {
+        throw new Error('HOTP codes can only be added online');
+    }
+
+    // Fails early on secrets that cannot be decoded
+    await generateOTPInBrowser(otpData);
+
+    // Replaced by the server's id on the next save after syncing
+    const id = `local-${crypto.randomUUID()}`;
+    offlineSnapshot.entries.push({
+        id,
+        serviceName: otpData.issuer || 'Unknown Service',
+        accountName: otpData.account || 'Unknown Account',
+        issuer: otpData.issuer,
+        type: otpData.type,
+        version: null,
+        otpData
+    });
+    offlineSnapshot.outbox.push({ op: 'create', id, otpData, queuedAt: new Date().toISOString() });
+    await writeOfflineSnapshot();
+    showNotification(`${otpData.issuer || otpData.account} added on this device; it syncs when you are back online`);
+}
+
+async function deleteOfflineCode(codeId) {
+    const entry = offlineSnapshot.entries.find(item => item.id === codeId);
+    if (!entry) return;
+
+    offlineSnapshot.entries = offlineSnapshot.entries.filter(item => item !== entry);
+    // An entry added offline never reached the server, so its create is simply dropped
+    const pendingCreate = offlineSnapshot.outbox.findIndex(change => change.op === 'create' && change.id === codeId);
+    if (pendingCreate !== -1) {
+        offlineSnapshot.outbox.splice(pendingCreate, 1);
+    } else {
+        offlineSnapshot.outbox.push({
+            op: 'delete',
+            id: codeId,
+            serviceName: entry.serviceName,
+            version: entry.version,
+            queuedAt: new Date().toISOString()
+        });
+    }
+    await writeOfflineSnapshot();
+    showNotification('Code deleted on this device; it syncs when you are back online');
+}
+
+async function writeOfflineSnapshot() {
+    await OfflineStore.write(offlineSession, offlineSnapshot);
+    showOfflineCodes();
+}
+
+// Replay the outbox against /api/otp. Changes the server has moved past are
+// reported, not forced; a network error leaves the rest for the next attempt.
+async function syncOfflineChanges() {
+    if (!authToken || offlineMode || offlineSyncRunning) return;
+    const record = await OfflineStore.getRecord().catch(() => null);
+    if (!record || !record.pendingChanges) return;
+
+    offlineSyncRunning = true;
+    try {
+        if (!offlineSession) {
+            const pin = prompt(`${record.pendingChanges} change(s) made offline are waiting. Enter your offline PIN to sync them`);
+            if (!pin) return;
+            ({ session: offlineSession, snapshot: offlineSnapshot } = await OfflineStore.open(pin));
+        }
+        if (offlineSnapshot.username !== currentUser.username) {
+            showNotification(`The offline changes belong to ${offlineSnapshot.username}`, 'error');
+            return;
+        }
+
+        const conflicts = [];
+        const remaining = [];
+        for (const change of offlineSnapshot.outbox) {
+            if (remaining.length > 0) {
+                remaining.push(change);
+                continue;
+            }
+            try {
+                const reason = change.op === 'create'
+                    ? await syncOfflineCreate(change)
+                    : await syncOfflineDelete(change);
+                if (reason) conflicts.push({ change, reason });
+            } catch (error) {
+                console.error('Offline sync stopped:', error);
+                remaining.push(change);
+            }
+        }
+
+        const synced = offlineSnapshot.outbox.filter(change => !remaining.includes(change));
+        offlineSnapshot.entries = offlineSnapshot.entries
+            .filter(entry => !synced.some(change => change.op === 'create' && change.id === entry.id));
+        offlineSnapshot.outbox = remaining;
+        await OfflineStore.write(offlineSession, offlineSnapshot);
+
+        showSyncConflicts(conflicts);
+        if (synced.length > conflicts.length) {
+            showNotification(`${synced.length - conflicts.length} offline change(s) synced`);
+        }
+        loadUserCodes();
+    } catch (error) {
+        console.error('Offline sync failed:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        offlineSyncRunning = false;
+    }
+}
+
+// Returns the conflict, or null once the server has the entry
+async function syncOfflineCreate(change) {
+    const otpData = change.otpData;
+    if (isVaultMode() && !vaultKey) {
+        throw new Error('Unlock your vault to sync codes added offline');
+    }
+
+    const response = await authFetch('/api/otp', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(isVaultMode() ? await vaultEntryPayload(otpData) : {
+            type: otpData.type,
+            issuer: otpData.issuer,
+            account: otpData.account,
+            secret: otpData.secret,
+            algorithm: otpData.algorithm,
+            digits: otpData.digits,
+            period: otpData.period
+        })
+    });
+    if (response.ok) return null;
+
+    const result = await response.json();
+    return result.code === 'DUPLICATE_ENTRY' ? 'already saved on the server' : (result.error || 'refused by the server');
+}
+
+// Returns the conflict, or null once the entry is deleted. The delete only
+// applies to the version saved offline, so later edits elsewhere are kept.
+async function syncOfflineDelete(change) {
+    const response = await authFetch(`/api/otp/${change.id}?version=${change.version}`, {
+        method: 'DELETE'
+    });
+    if (response.ok) return null;
+    if (response.status === 404) return 'already deleted on the server';
+    if (response.status >= 500) {
+        throw new Error(`Failed to delete ${change.serviceName}`);
+    }
+
+    const result = await response.json();
+    if (result.code === 'VERSION_CONFLICT') {
+        return result.current.deleted ? 'already deleted on the server' : 'changed on another device, so it was kept';
+    }
+    return result.error || 'refused by the server';
+}
+
+function showSyncConflicts(conflicts) {
+    if (conflicts.length === 0) return;
+
+    const items = conflicts.map(({ change, reason }) => {
+        const name = change.op === 'create' ? (change.otpData.issuer || change.otpData.account) : change.serviceName;
+        return `<li>${change.op === 'create' ? 'Add' : 'Delete'} ${escapeHtml(name)}: ${escapeHtml(reason)}</li>`;
+    });
+    syncConflicts.innerHTML = `
+        <div class="sync-conflicts-header">
+            <strong>Some changes made offline were not applied</strong>
+            <button class="btn-secondary" onclick="dismissSyncConflicts()">Dismiss</button>
+        </div>
+        <ul>${items.join('')}</ul>
+    `;
+    syncConflicts.style.display = 'block';
+}
+
+function dismissSyncConflicts() {
+    syncConflicts.style.display = 'none';
+    syncConflicts.innerHTML = '';
+}
+
+// Browser-side otpauth:// handling, mirroring lib/otp-parser.js
+function parseOtpauthUrl(otpUrl) {
+    const match = otpUrl.match(/^otpauth:\/\/(totp|hotp)\/([^?]*)\?(.*)$/i);
+    if (!match) {
+        throw new Error('Not a valid otpauth:// URL');
+    }
+
+    const label = decodeURIComponent(match[2]);
+    const params = new URLSearchParams(match[3]);
+    const separator = label.indexOf(':');
+    // Counters past 2^53 - 1 stay decimal strings so no precision is lost
+    const counter = /^\d+$/.test(params.get('counter') || '') ? params.get('counter').replace(/^0+(?=\d)/, '') : '0';
+    const otpData = {
+        type: match[1].toLowerCase(),
+        issuer: params.get('issuer') || (separator !== -1 ? label.slice(0, separator) : ''),
+        account: separator !== -1 ? label.slice(separator + 1) : label,
+        secret: params.get('secret') || '',
+        algorithm: (params.get('algorithm') || 'SHA1').toUpperCase(),
+        digits: parseInt(params.get('digits'), 10) || 6,
+        period: params.has('period') ? Number(params.get('period')) : 30,
+        counter: Number.isSafeInteger(Number(counter)) ? Number(counter) : counter
+    };
+
+    // Same range as PERIOD_RANGE in lib/otp-parser.js
+    if (!Number.isInteger(otpData.period) || otpData.period < 1 || otpData.period > 3600) {
+        throw new Error(`Invalid period: ${params.get('period')}, must be a whole number of seconds from 1 to 3600`);
+    }
+
+    // Vendor formats are recognised by a prefix on the secret
+    if (/^stm-/i.test(otpData.secret)) {
+        otpData.type = 'steam';
+        otpData.secret = otpData.secret.slice(4);
+    } else if (/^blz-/i.test(otpData.secret)) {
+        otpData.type = 'battle';
+        otpData.secret = otpData.secret.slice(4);
+    }
+
+    otpData.secret = otpData.secret.replace(/[\s-]/g, '').toUpperCase();
+    if (!otpData.secret) {
+        throw new Error('The URL has no secret');
+    }
+    return otpData;
+}
+
+function normalizeManualEntry(data) {
+    const type = data.type || 'totp';
+    const secret = (data.secret || '').replace(/[\s-]/g, '');
+    if (!secret) {
+        throw new Error('Either otpUrl or secret is required');
+    }
+
+    return {
+        type,
+        issuer: data.issuer || '',
+        account: data.account || '',
+        secret: type === 'hex' || type === 'hhex' ? secret.toLowerCase() : secret.toUpperCase(),
+        algorithm: 'SHA1',
+        digits: type === 'battle' ? 8 : (type === 'steam' ? 5 : 6),
+        period: 30,
+        counter: 0
+    };
+}
+
+function buildOtpauthUrl(otpData) {
+    const counterBased = otpData.type === 'hotp' || otpData.type === 'hhex';
+    // Same label rules as buildStandardOTPUrl in lib/otp-parser.js
+    const account = encodeURIComponent(otpData.account);
+    let label = account;
+    if (otpData.issuer && !otpData.issuer.includes(':')) {
+        label = `${encodeURIComponent(otpData.issuer)}:${account}`;
+    } else if (otpData.account.includes(':')) {
+        label = `:${account}`;
+    }
+
+    let secret = otpData.secret;
+    if (otpData.type === 'steam') {
+        secret = `stm-${secret}`;
+    } else if (otpData.type === 'battle') {
+        secret = `blz-${secret}`;
+    }
+
+    const params = [`secret=${secret}`];
+    if (otpData.issuer) {
+        params.push(`issuer=${encodeURIComponent(otpData.issuer)}`);
+    }
+    params.push(`algorithm=${otpData.algorithm}`);
+    params.push(`digits=${otpData.digits}`);
+    params.push(counterBased ? `counter=${otpData.counter}` : `period=${otpData.period}`);
+    if (!counterBased && otpData.t0) {
+        params.push(`t0=${otpData.t0}`);
+    }
+
+    return `otpauth://${counterBased ? 'hotp' : 'totp'}/${label}?${params.join('&')}`;
+}
+
+// Browser-side code generation, mirroring services/otp-generator.js
+// Vault and unlocked entries get their codes from public/otp-generator.js
+function generateOTPInBrowser(otpData) {
+    return BrowserOTP.generateCode(otpData);
+}
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
 // Camera functionality
 function setupCameraControls() {
     const startCamera = document.getElementById('startCamera');
@@ -581,7 +1895,11 @@ function clearResults() {
 // Generate results HTML (same as before but with updated styling)
 function generateResultsHTML(result) {
     let html = '';
-    
+
+    if (result.created) {
+        html += generateImportSummaryHTML(result);
+    }
+
     if (result.entry) {
         html += `
             <div style="background: #e8f5e8; border: 1px solid #28a745; border-radius: 8px; padding: 20px; margin: 15px 0;">
@@ -606,6 +1924,39 @@ function generateResultsHTML(result) {
     return html;
 }
 
+function generateImportSummaryHTML(result) {
+    const listItems = (items, describe) => items.map(item => `
+        <li>${escapeHtml(item.issuer ? `${item.issuer} - ${item.account}` : item.account)}${describe ? ` <em>(${escapeHtml(describe(item))})</em>` : ''}</li>
+    `).join('');
+
+    let html = `
+        <div style="background: #e8f5e8; border: 1px solid #28a745; border-radius: 8px; padding: 20px; margin: 15px 0;">
+            <h4 style="color: #155724; margin-bottom: 10px;">📦 Imported ${result.created.length} account(s) from migration QR</h4>
+            <ul>${result.created.map(entry => `<li>${escapeHtml(entry.displayName)}</li>`).join('')}</ul>
+        </div>
+    `;
+
+    if (result.duplicates.length > 0) {
+        html += `
+            <div style="background: #fff8e1; border: 1px solid #ffc107; border-radius: 8px; padding: 20px; margin: 15px 0;">
+                <h4 style="color: #856404; margin-bottom: 10px;">⚠️ Skipped ${result.duplicates.length} duplicate(s)</h4>
+                <ul>${listItems(result.duplicates)}</ul>
+            </div>
+        `;
+    }
+
+    if (result.rejected.length > 0) {
+        html += `
+            <div style="background: #fed7d7; border: 1px solid #fc8181; border-radius: 8px; padding: 20px; margin: 15px 0;">
+                <h4 style="color: #c53030; margin-bottom: 10px;">❌ Rejected ${result.rejected.length} account(s)</h4>
+                <ul>${listItems(result.rejected, item => item.errors.join(', '))}</ul>
+            </div>
+        `;
+    }
+
+    return html;
+}
+
 function generateCurrentCodeHTML(currentCode, codeError) {
     if (codeError) {
         return `
@@ -0,0 +1,55 @@
+/**
+ * Service worker: keeps the app shell available offline
+ *
+ * Shell files are fetched from the network when possible, so deployments
+ * show up straight away, and served from the cache otherwise. API requests
+ * are never cached; offline codes come from the encrypted IndexedDB cache
+ * (offline-store.js).
+ */
+const CACHE_NAME = 'otp-shell-v1';
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/script.js',
+    '/otp-generator.js',
+    '/offline-store.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then((response) => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(event.request, { ignoreSearch: true })
+                .then(cached => cached || caches.match('/index.html')))
+    );
+});
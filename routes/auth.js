@@ -1,16 +1,105 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const {
   generateToken,
   generateRefreshToken,
+  hashToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   parseDeviceInfo,
-  authenticateToken
+  authenticateToken,
+  ACCESS_TOKEN_EXPIRES_IN,
+  CHALLENGE_TOKEN_EXPIRES_IN
 } = require('../middleware/auth');
+const QREncoder = require('../services/qr-encoder');
+const {
+  generateTwoFactorSecret,
+  buildProvisioningUrl
+} = require('../lib/two-factor');
 
 const router = express.Router();
 
+// Two-factor codes are short, so guessing them is rate limited
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Too many two-factor attempts, please try again later',
+    code: 'TOO_MANY_ATTEMPTS'
+  }
+});
+
+/**
+ * Start a session and issue its first access / refresh token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device info)
+ * @param {number} expiryHours - Session lifetime
+ * @returns {Promise<Object>} - { session, tokens }
+ */
+async function createSession(user, req, expiryHours) {
+  const refreshToken = generateRefreshToken();
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceInfo: parseDeviceInfo(req.get('User-Agent'), req.ip),
+    expiresAt: new Date(Date.now() + expiryHours * 60 * 60 * 1000)
+  });
+
+  await session.save();
+
+  return {
+    session,
+    tokens: {
+      accessToken: generateToken(user._id, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    }
+  };
+}
+
+/**
+ * Create the session for a fully authenticated user and send the login response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {boolean} rememberMe - Whether to keep the session for 7 days
+ */
+async function completeLogin(req, res, user, rememberMe) {
+  const expiryHours = rememberMe ? 24 * 7 : 24; // 7 days if remember me, otherwise 24 hours
+  const { session, tokens } = await createSession(user, req, expiryHours);
+
+  // Update user login info
+  await user.updateLastLogin();
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      displayName: user.displayName,
+      profile: user.profile,
+      settings: user.settings,
+      twoFactorEnabled: user.twoFactor.enabled,
+      lastLogin: user.lastLogin,
+      loginCount: user.loginCount
+    },
+    tokens,
+    session: {
+      id: session._id,
+      expiresAt: session.expiresAt,
+      deviceInfo: session.deviceInfo
+    }
+  });
+}
+
 // Register new user
 router.post('/register', [
   body('username')
@@ -78,20 +167,8 @@ router.post('/register', [
 
     await user.save();
 
-    // Create session
-    const deviceInfo = parseDeviceInfo(req.get('User-Agent'), req.ip);
-    const session = new Session({
-      userId: user._id,
-      sessionToken: generateToken(user._id),
-      deviceInfo,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
-    });
-
-    await session.save();
-
-    // Generate tokens (access token never expires)
-    const accessToken = generateToken(user._id, session._id);
-    const refreshToken = generateRefreshToken(user._id, session._id);
+    // Create session (24 hours)
+    const { tokens } = await createSession(user, req, 24);
 
     // Update user login info
     await user.updateLastLogin();
@@ -108,11 +185,7 @@ router.post('/register', [
         settings: user.settings,
         createdAt: user.createdAt
       },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: 'never'
-      }
+      tokens
     });
 
   } catch (error) {
@@ -174,53 +247,95 @@ router.post('/login', [
       });
     }
 
-    // Create session
-    const deviceInfo = parseDeviceInfo(req.get('User-Agent'), req.ip);
-    const expiryHours = rememberMe ? 24 * 7 : 24; // 7 days if remember me, otherwise 24 hours
+    // With two-factor enabled, tokens are only issued after POST /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, rememberMe, await user.issueTwoFactorChallenge()),
+        expiresIn: CHALLENGE_TOKEN_EXPIRES_IN
+      });
+    }
+
+    await completeLogin(req, res, user, rememberMe);
 
-    const session = new Session({
-      userId: user._id,
-      sessionToken: generateToken(user._id),
-      deviceInfo,
-      expiresAt: new Date(Date.now() + expiryHours * 60 * 60 * 1000)
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
     });
+  }
+});
 
-    await session.save();
+// Second login step: exchange the challenge token and a TOTP or recovery code
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
 
-    // Generate tokens (access token never expires)
-    const accessToken = generateToken(user._id, session._id);
-    const refreshToken = generateRefreshToken(user._id, session._id);
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    // Update user login info
-    await user.updateLastLogin();
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge, please log in again',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        displayName: user.displayName,
-        profile: user.profile,
-        settings: user.settings,
-        lastLogin: user.lastLogin,
-        loginCount: user.loginCount
-      },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: 'never'
-      },
-      session: {
-        id: session._id,
-        expiresAt: session.expiresAt,
-        deviceInfo: session.deviceInfo
-      }
-    });
+    const user = await User.findOne({ _id: challenge.userId, isActive: true });
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge, please log in again',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const verified = recoveryCode
+      ? await user.useRecoveryCode(recoveryCode)
+      : await user.verifyTwoFactorCode(code);
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    // Single use: of two requests with the same challenge only one gets a session
+    if (!await user.consumeTwoFactorChallenge(challenge.jti)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge, please log in again',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    await completeLogin(req, res, user, challenge.rememberMe);
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       error: 'Login failed',
@@ -232,6 +347,7 @@ router.post('/login', [
 // Refresh token
 router.post('/refresh', [
   body('refreshToken')
+    .isString()
     .notEmpty()
     .withMessage('Refresh token is required')
 ], async (req, res) => {
@@ -246,17 +362,36 @@ router.post('/refresh', [
       });
     }
 
-    const { refreshToken } = req.body;
-
-    // Verify refresh token
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    const tokenHash = hashToken(req.body.refreshToken);
+    const newRefreshToken = generateRefreshToken();
+
+    // Single use: the token is swapped for a new one in the same update
+    const session = await Session.rotateRefreshToken(tokenHash, hashToken(newRefreshToken));
+
+    if (!session) {
+      // A token that was already exchanged means it leaked; end the whole session
+      const reusedSession = await Session.findOne({ usedRefreshTokenHashes: tokenHash });
+      if (reusedSession) {
+        if (reusedSession.isActive) {
+          await reusedSession.deactivate('refresh_token_reuse');
+        }
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token has already been used; session revoked',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
 
-    // Find user and session
-    const user = await User.findById(decoded.userId);
-    const session = await Session.findById(decoded.sessionId);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
 
-    if (!user || !user.isActive || !session || !session.isActive || session.expiresAt < new Date()) {
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await session.deactivate();
       return res.status(401).json({
         success: false,
         error: 'Invalid or expired refresh token',
@@ -267,14 +402,12 @@ router.post('/refresh', [
     // Extend session
     await session.extend();
 
-    // Generate new access token
-    const accessToken = generateToken(user._id, session._id);
-
     res.json({
       success: true,
       tokens: {
-        accessToken,
-        expiresIn: '24h'
+        accessToken: generateToken(user._id, session._id),
+        refreshToken: newRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
       }
     });
 
@@ -299,6 +432,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         displayName: req.user.displayName,
         profile: req.user.profile,
         settings: req.user.settings,
+        twoFactorEnabled: req.user.twoFactor.enabled,
         lastLogin: req.user.lastLogin,
         loginCount: req.user.loginCount,
         createdAt: req.user.createdAt
@@ -388,6 +522,222 @@ router.put('/profile', authenticateToken, [
   }
 });
 
+// Start two-factor enrollment: new secret, provisioning URL and QR code
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    user.setPendingTwoFactorSecret(generateTwoFactorSecret());
+    await user.save();
+
+    const otpData = user.getTwoFactorOTPData({ pending: true });
+    const otpauthUrl = buildProvisioningUrl(otpData);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      secret: otpData.secret,
+      otpauthUrl: otpauthUrl,
+      qrCode: await QREncoder.toDataURL(otpauthUrl)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+});
+
+// Confirm enrollment with a first code; returns the recovery codes once
+router.post('/2fa/enable', authenticateToken, twoFactorLimiter, [
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = req.user;
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(409).json({
+        success: false,
+        error: 'Start two-factor setup first',
+        code: 'TWO_FACTOR_NOT_STARTED'
+      });
+    }
+
+    if (!await user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = user.enableTwoFactor();
+    await user.save();
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      code: 'TWO_FACTOR_ENABLE_ERROR'
+    });
+  }
+});
+
+// Replace the recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorLimiter, [
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = req.user;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!await user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      recoveryCodes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes',
+      code: 'RECOVERY_CODES_ERROR'
+    });
+  }
+});
+
+// Turn two-factor authentication off (requires the password and a code)
+router.post('/2fa/disable', authenticateToken, twoFactorLimiter, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const verified = recoveryCode
+      ? await user.useRecoveryCode(recoveryCode)
+      : await user.verifyTwoFactorCode(code);
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      code: 'TWO_FACTOR_DISABLE_ERROR'
+    });
+  }
+});
+
 // Get user sessions
 router.get('/sessions', authenticateToken, async (req, res) => {
   try {
@@ -419,22 +769,99 @@ router.get('/sessions', authenticateToken, async (req, res) => {
   }
 });
 
+// Logout: end the session the request was made with
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.sessionRecord) {
+      await req.sessionRecord.deactivate();
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+});
+
+// Revoke every session except the current one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const query = {
+      userId: req.userId,
+      isActive: true
+    };
+    if (req.sessionRecord) {
+      query._id = { $ne: req.sessionRecord._id };
+    }
+
+    const sessions = await Session.find(query);
+    await Promise.all(sessions.map(session => session.deactivate()));
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      revoked: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      code: 'REVOKE_ERROR'
+    });
+  }
+});
+
 // Revoke session
-router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+router.delete('/sessions/:sessionId', authenticateToken, [
+  param('sessionId').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
     const { sessionId } = req.params;
 
     const session = await Session.findOne({
       _id: sessionId,
       userId: req.userId
     });
-    res.status(500).json({
-      success: false,
-      error: 'Failed to revoke session',
-      code: 'REVOKE_ERROR'
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.isActive) {
+      await session.deactivate();
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      isCurrent: Boolean(req.sessionRecord && session._id.equals(req.sessionRecord._id))
     });
-  }
-  catch (error) {
+
+  } catch (error) {
     console.error('Session revoke error:', error);
     res.status(500).json({
       success: false,
@@ -442,8 +869,6 @@ router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
       code: 'REVOKE_ERROR'
     });
   }
-
 });
 
-module.exports = router
-
+module.exports = router;
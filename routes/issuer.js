@@ -0,0 +1,490 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+const ApiClient = require('../models/ApiClient');
+const Enrollment = require('../models/Enrollment');
+const OTPVerifier = require('../services/otp-verifier');
+const QREncoder = require('../services/qr-encoder');
+const { buildStandardOTPUrl } = require('../lib/otp-parser');
+const { generateTwoFactorSecret } = require('../lib/two-factor');
+const { authenticateToken, authenticateApiKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Codes are short, so guessing them is rate limited per enrollment; accepted codes do not count
+const enrollmentVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.apiClient._id}:${req.params.externalUserId}`,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.locals.codeAccepted === true,
+  message: {
+    success: false,
+    error: 'Too many verification attempts for this enrollment, please try again later',
+    code: 'TOO_MANY_ATTEMPTS'
+  }
+});
+
+const externalUserIdRule = param('externalUserId').isLength({ min: 1, max: 200 });
+
+function rejectInvalidRequest(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors.array(),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+}
+
+/**
+ * Secret, otpauth:// URL and QR code a client application hands to its user
+ * @param {Object} enrollment - Saved enrollment document
+ * @param {Object} client - ApiClient document
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+ */
+async function provisioningData(enrollment, client) {
+  const otpData = enrollment.getOTPData(client.issuer || client.name);
+  const otpauthUrl = buildStandardOTPUrl(otpData);
+
+  return {
+    secret: otpData.secret,
+    otpauthUrl: otpauthUrl,
+    qrCode: await QREncoder.toDataURL(otpauthUrl)
+  };
+}
+
+function findEnrollment(req) {
+  return Enrollment.findOne({
+    clientId: req.apiClient._id,
+    externalUserId: req.params.externalUserId
+  });
+}
+
+function enrollmentNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Enrollment not found',
+    code: 'ENROLLMENT_NOT_FOUND'
+  });
+}
+
+// Client applications, managed by the account that registered them
+
+// Register a client application; the API key is only shown in this response
+router.post('/clients', authenticateToken, [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+  body('issuer').optional().isString().trim().isLength({ max: 100 }),
+  body('algorithm').optional().isIn(['SHA1', 'SHA256', 'SHA512']),
+  body('digits').optional().isIn([6, 8]).toInt(),
+  body('period').optional().isInt({ min: 15, max: 300 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { name, issuer, algorithm, digits, period } = req.body;
+
+    const client = new ApiClient({
+      userId: req.userId,
+      name: name,
+      issuer: issuer || undefined,
+      otpDefaults: { algorithm, digits, period }
+    });
+    const apiKey = client.rotateKey();
+
+    await client.save();
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(201).json({
+      success: true,
+      client: client,
+      apiKey: apiKey
+    });
+
+  } catch (error) {
+    console.error('Create API client error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API client',
+      code: 'CLIENT_CREATE_ERROR'
+    });
+  }
+});
+
+// List the client applications of the current user
+router.get('/clients', authenticateToken, async (req, res) => {
+  try {
+    const clients = await ApiClient.find({ userId: req.userId, isActive: true })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      clients: clients
+    });
+
+  } catch (error) {
+    console.error('List API clients error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API clients',
+      code: 'CLIENT_LIST_ERROR'
+    });
+  }
+});
+
+// Replace the API key of a client application; the old key stops working at once
+router.post('/clients/:clientId/rotate-key', authenticateToken, [
+  param('clientId').isMongoId()
+], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const client = await ApiClient.findOne({
+      _id: req.params.clientId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'API client not found',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const apiKey = client.rotateKey();
+    await client.save();
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      client: client,
+      apiKey: apiKey
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key',
+      code: 'CLIENT_ROTATE_ERROR'
+    });
+  }
+});
+
+// Deactivate a client application and delete the secrets it issued
+router.delete('/clients/:clientId', authenticateToken, [
+  param('clientId').isMongoId()
+], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const client = await ApiClient.findOneAndUpdate(
+      { _id: req.params.clientId, userId: req.userId, isActive: true },
+      { $set: { isActive: false } }
+    );
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'API client not found',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const { deletedCount } = await Enrollment.deleteMany({ clientId: client._id });
+
+    res.json({
+      success: true,
+      message: 'API client deleted',
+      deletedEnrollments: deletedCount
+    });
+
+  } catch (error) {
+    console.error('Delete API client error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete API client',
+      code: 'CLIENT_DELETE_ERROR'
+    });
+  }
+});
+
+// Enrollments, managed by client applications with their API key
+router.use('/enrollments', authenticateApiKey);
+
+// Issue a TOTP secret to a user of the client application
+router.post('/enrollments', [
+  body('externalUserId').isString().trim().isLength({ min: 1, max: 200 }).withMessage('External user id is required'),
+  body('accountName').optional().isString().trim().isLength({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const client = req.apiClient;
+    const { externalUserId, accountName } = req.body;
+
+    const existing = await Enrollment.exists({ clientId: client._id, externalUserId });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is already enrolled; reset or delete the enrollment first',
+        code: 'ENROLLMENT_EXISTS'
+      });
+    }
+
+    const enrollment = new Enrollment({
+      clientId: client._id,
+      externalUserId: externalUserId,
+      accountName: accountName || externalUserId.slice(0, 100),
+      secret: generateTwoFactorSecret(),
+      algorithm: client.otpDefaults.algorithm,
+      digits: client.otpDefaults.digits,
+      period: client.otpDefaults.period
+    });
+
+    await enrollment.save();
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(201).json({
+      success: true,
+      enrollment: enrollment,
+      ...await provisioningData(enrollment, client)
+    });
+
+  } catch (error) {
+    // Two concurrent requests for the same user
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is already enrolled; reset or delete the enrollment first',
+        code: 'ENROLLMENT_EXISTS'
+      });
+    }
+
+    console.error('Create enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create enrollment',
+      code: 'ENROLLMENT_CREATE_ERROR'
+    });
+  }
+});
+
+// Enrollment status; the secret is never returned after enrollment
+router.get('/enrollments/:externalUserId', [externalUserIdRule], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const enrollment = await findEnrollment(req);
+    if (!enrollment) {
+      return enrollmentNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      enrollment: enrollment
+    });
+
+  } catch (error) {
+    console.error('Get enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get enrollment',
+      code: 'ENROLLMENT_FETCH_ERROR'
+    });
+  }
+});
+
+// Verify a code; the first accepted code activates a pending enrollment
+router.post('/enrollments/:externalUserId/verify', [
+  externalUserIdRule,
+  body('code').isString().trim().notEmpty().withMessage('Code to verify is required'),
+  body('window').optional().isInt({ min: 0, max: 2 }).toInt()
+], enrollmentVerifyLimiter, async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const enrollment = await findEnrollment(req);
+    if (!enrollment) {
+      return enrollmentNotFound(res);
+    }
+
+    if (enrollment.status === 'disabled') {
+      return res.status(409).json({
+        success: false,
+        error: 'Enrollment is disabled',
+        code: 'ENROLLMENT_DISABLED'
+      });
+    }
+
+    const { code, window } = req.body;
+    const result = await OTPVerifier.verifyEnrollment(enrollment, code, { window });
+    res.locals.codeAccepted = result.valid;
+
+    res.json({
+      success: true,
+      verification: {
+        valid: result.valid,
+        replay: Boolean(result.replay),
+        timeWindow: result.timeWindow
+      },
+      status: enrollment.status
+    });
+
+  } catch (error) {
+    console.error('Verify enrollment code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify code',
+      code: 'VERIFICATION_ERROR'
+    });
+  }
+});
+
+// Reject every code until the enrollment is enabled again
+router.post('/enrollments/:externalUserId/disable', [externalUserIdRule], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const enrollment = await findEnrollment(req);
+    if (!enrollment) {
+      return enrollmentNotFound(res);
+    }
+
+    enrollment.status = 'disabled';
+    await enrollment.save();
+
+    res.json({
+      success: true,
+      enrollment: enrollment
+    });
+
+  } catch (error) {
+    console.error('Disable enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable enrollment',
+      code: 'ENROLLMENT_UPDATE_ERROR'
+    });
+  }
+});
+
+// Re-enable a disabled enrollment with its existing secret
+router.post('/enrollments/:externalUserId/enable', [externalUserIdRule], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const enrollment = await findEnrollment(req);
+    if (!enrollment) {
+      return enrollmentNotFound(res);
+    }
+
+    if (enrollment.status === 'disabled') {
+      enrollment.status = enrollment.activatedAt ? 'active' : 'pending';
+      await enrollment.save();
+    }
+
+    res.json({
+      success: true,
+      enrollment: enrollment
+    });
+
+  } catch (error) {
+    console.error('Enable enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable enrollment',
+      code: 'ENROLLMENT_UPDATE_ERROR'
+    });
+  }
+});
+
+// Issue a new secret, e.g. after the user lost their device; the old secret stops working
+router.post('/enrollments/:externalUserId/reset', [externalUserIdRule], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const enrollment = await findEnrollment(req);
+    if (!enrollment) {
+      return enrollmentNotFound(res);
+    }
+
+    enrollment.resetSecret();
+    await enrollment.save();
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      enrollment: enrollment,
+      ...await provisioningData(enrollment, req.apiClient)
+    });
+
+  } catch (error) {
+    console.error('Reset enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset enrollment',
+      code: 'ENROLLMENT_RESET_ERROR'
+    });
+  }
+});
+
+// Delete an enrollment and its secret
+router.delete('/enrollments/:externalUserId', [externalUserIdRule], async (req, res) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { deletedCount } = await Enrollment.deleteOne({
+      clientId: req.apiClient._id,
+      externalUserId: req.params.externalUserId
+    });
+
+    if (deletedCount === 0) {
+      return enrollmentNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Enrollment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete enrollment',
+      code: 'ENROLLMENT_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
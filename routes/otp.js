@@ -1,19 +1,49 @@
 const express = require('express');
 const multer = require('multer');
+const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
 const sharp = require('sharp');
 const { body, query, validationResult } = require('express-validator');
 const OTPEntry = require('../models/OTPEntry');
+const Session = require('../models/Session');
 const QRService = process.env.NODE_ENV === 'production' 
   ? require('../services/qr-service-optimized')
   : require('../services/qr-service');
 const OTPGenerator = require('../services/otp-generator');
-const { parseOTPAuth, formatOTPResponse } = require('../lib/otp-parser');
+const QREncoder = require('../services/qr-encoder');
+const OTPVerifier = require('../services/otp-verifier');
+const LiveCodes = require('../services/live-codes');
+const {
+  parseOTPAuth,
+  formatOTPResponse,
+  validateOTPData,
+  buildStandardOTPUrl,
+  buildOTPAuthUrl,
+  applyFixedParameters,
+  OTPType,
+  OTPAlgorithm,
+  PERIOD_RANGE
+} = require('../lib/otp-parser');
+const { toOtpParameters, buildMigrationUrls } = require('../lib/otp-migration');
+const { isClientCiphertext, isClientVault } = require('../lib/client-vault');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
+// The live code stream re-reads entries (and the session) this often
+const STREAM_RELOAD_INTERVAL = 60 * 1000;
+// Comment lines keep idle streams open through proxies
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+// How long the browser keeps secrets handed out by POST /unlock
+const DEFAULT_UNLOCK_MINUTES = 15;
+const MAX_UNLOCK_MINUTES = 60;
+// GET /sync leaves out changes this recent: a save stamped earlier can still be
+// in flight, and a cursor already past it would never return it
+const SYNC_SETTLE_MS = 2000;
+const DEFAULT_SYNC_LIMIT = 100;
+const MAX_SYNC_LIMIT = 500;
+
 // Configure multer for QR code image uploads with optimizations
 const storage = process.env.NODE_ENV === 'production' 
   ? multer.memoryStorage() // Use memory storage in production for faster processing
@@ -51,8 +81,229 @@ const upload = multer({
 // All routes require authentication
 router.use(authenticateToken);
 
+// Server-side QR processing would expose secrets of a zero-knowledge vault
+function rejectClientVault(req, res, next) {
+  if (isClientVault(req.user)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Vault is client-encrypted: decode the QR code in the browser and use POST /api/otp',
+      code: 'CLIENT_VAULT'
+    });
+  }
+  next();
+}
+
+// Secrets are only revealed after the password, and a second factor when enabled, is confirmed again
+const reauthenticationRules = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+];
+
+// Failed reauthentications per user, so a stolen access token cannot be used to guess the password
+const reauthenticationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.userId.toString(),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Too many reauthentication attempts, please try again later',
+    code: 'TOO_MANY_ATTEMPTS'
+  }
+});
+
+async function reauthenticate(req, res, next) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      const verified = recoveryCode
+        ? await user.useRecoveryCode(recoveryCode)
+        : await user.verifyTwoFactorCode(code);
+
+      if (!verified) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid two-factor code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// mOTP and Yandex.Key codes cannot be computed without the PIN
+function requiresMissingPin(entry) {
+  const pinTypes = [OTPType.MOTP, OTPType.YANDEX];
+  return pinTypes.includes(entry.otpConfig.type) && !entry.otpConfig.pin;
+}
+
+// Why the browser generator cannot take over an entry, or null if it can
+function browserUnsupportedReason(otpData) {
+  if ([OTPType.HOTP, OTPType.HHEX].includes(otpData.type)) {
+    return 'COUNTER_BASED';
+  }
+  if (![OTPType.TOTP, OTPType.HEX, OTPType.STEAM, OTPType.BATTLE].includes(otpData.type)) {
+    return 'UNSUPPORTED_TYPE';
+  }
+  // WebCrypto has no Streebog
+  if ([OTPType.TOTP, OTPType.HEX].includes(otpData.type) && !['SHA1', 'SHA256', 'SHA512'].includes(otpData.algorithm)) {
+    return 'UNSUPPORTED_ALGORITHM';
+  }
+  return null;
+}
+
+// A T0 epoch in the future would leave no valid time steps yet
+function isPastTime(value) {
+  return value <= Math.floor(Date.now() / 1000);
+}
+
+// Counters may be given as numbers or, above 2^53 - 1, as decimal strings
+function counterValidator(field) {
+  return body(field).optional()
+    .custom(value => OTPGenerator.isValidCounter(value))
+    .withMessage('Counter must be an integer from 0 to 2^64 - 1')
+    .bail()
+    .customSanitizer(value => OTPGenerator.normalizeCounter(value));
+}
+
+// An entry as listed by GET / and GET /sync; the secret is only included as client-side ciphertext
+function entrySummary(entry) {
+  return {
+    id: entry._id,
+    version: entry.version,
+    serviceName: entry.serviceName,
+    accountName: entry.accountName,
+    issuer: entry.issuer,
+    displayName: entry.displayName,
+    type: entry.otpConfig.type,
+    algorithm: entry.otpConfig.algorithm,
+    digits: entry.otpConfig.digits,
+    period: entry.otpConfig.period,
+    t0: entry.otpConfig.t0,
+    counter: entry.otpConfig.counter,
+    clientEncrypted: entry.clientEncrypted,
+    // The PIN itself is never returned
+    pinSet: Boolean(entry.otpConfig.pin),
+    encryptedSecret: entry.clientEncrypted ? entry.getOTPData().secret : undefined,
+    favorite: entry.favorite,
+    tags: entry.tags,
+    notes: entry.notes,
+    usage: entry.usage,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+// Sync cursors are opaque to clients: base64url JSON of the last change returned
+// ({ t, id }) and when the first sync started (since), before which deletions
+// concern entries the client never received
+function encodeSyncCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeSyncCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    const valid = Number.isSafeInteger(cursor.since)
+      && (cursor.t === null || (Number.isSafeInteger(cursor.t) && /^[0-9a-f]{24}$/.test(cursor.id)));
+    return valid ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The change was based on an older version; the client gets the current one to merge with
+function versionConflict(res, entry) {
+  return res.status(409).json({
+    success: false,
+    error: 'OTP entry was changed by another client',
+    code: 'VERSION_CONFLICT',
+    current: entry.isActive
+      ? entrySummary(entry)
+      : { id: entry._id, version: entry.version, deleted: true }
+  });
+}
+
+/**
+ * Create one OTP entry per account in a parsed migration payload
+ * @param {ObjectId} userId - Owner of the new entries
+ * @param {Object} migrationData - Result of parseMigrationUrl
+ * @returns {Object} - Created, duplicate and rejected accounts
+ */
+async function importMigrationEntries(userId, migrationData) {
+  const created = [];
+  const duplicates = [];
+  const rejected = [];
+
+  for (const otpData of migrationData.entries) {
+    const summary = {
+      issuer: otpData.issuer,
+      account: otpData.account
+    };
+
+    if (!otpData.valid) {
+      rejected.push({ ...summary, errors: [otpData.error] });
+      continue;
+    }
+
+    const validation = validateOTPData(otpData);
+    if (!validation.valid) {
+      rejected.push({ ...summary, errors: validation.errors });
+      continue;
+    }
+
+    const existingEntry = await OTPEntry.findDuplicate(userId, otpData);
+    if (existingEntry) {
+      duplicates.push({ ...summary, existingEntryId: existingEntry._id });
+      continue;
+    }
+
+    const otpEntry = OTPEntry.fromOTPData(userId, otpData);
+
+    await otpEntry.save();
+
+    created.push({
+      id: otpEntry._id,
+      serviceName: otpEntry.serviceName,
+      accountName: otpEntry.accountName,
+      type: otpEntry.otpConfig.type,
+      displayName: otpEntry.displayName
+    });
+  }
+
+  return { created, duplicates, rejected };
+}
+
 // Upload QR code and save OTP entry
-router.post('/upload', upload.single('qrImage'), async (req, res) => {
+router.post('/upload', rejectClientVault, upload.single('qrImage'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -88,7 +339,61 @@ router.post('/upload', upload.single('qrImage'), async (req, res) => {
 
     // Parse OTP data
     const otpData = qrResult.data;
+
+    // Google Authenticator exports carry several accounts in one QR code
+    if (otpData.type === 'migration') {
+      if (req.file.path) {
+        try {
+          fs.unlinkSync(req.file.path);
+        } catch (error) {
+          console.warn('Could not delete uploaded file:', error.message);
+        }
+      }
+
+      const importResult = await importMigrationEntries(req.userId, otpData);
+      const summary = {
+        created: importResult.created,
+        duplicates: importResult.duplicates,
+        rejected: importResult.rejected,
+        batch: otpData.batch,
+        processingTime: qrResult.processingTime
+      };
+
+      if (importResult.created.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'No new OTP entries were imported from the migration QR code',
+          code: 'NOTHING_IMPORTED',
+          ...summary
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: `Imported ${importResult.created.length} of ${otpData.entries.length} OTP entries`,
+        ...summary
+      });
+    }
     
+    // Out-of-range values are rejected rather than saved with a default
+    const validation = validateOTPData(otpData);
+    if (!validation.valid) {
+      if (req.file.path) {
+        try {
+          fs.unlinkSync(req.file.path);
+        } catch (error) {
+          console.warn('Could not delete uploaded file:', error.message);
+        }
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid OTP data',
+        details: validation.errors,
+        code: 'INVALID_OTP_DATA'
+      });
+    }
+
     // Generate optimized QR code image thumbnail (only in development with disk storage)
     let thumbnailPath = null;
     if (req.file.path) {
@@ -108,16 +413,7 @@ router.post('/upload', upload.single('qrImage'), async (req, res) => {
     }
 
     // Check if user already has this OTP entry
-    const existingEntry = await OTPEntry.findOne({
-      userId: req.userId,
-      $or: [
-        { originalUrl: otpData.originalUrl },
-        {
-          serviceName: otpData.issuer || 'Unknown',
-          accountName: otpData.account || 'Unknown'
-        }
-      ]
-    });
+    const existingEntry = await OTPEntry.findDuplicate(req.userId, otpData);
 
     if (existingEntry) {
       // Clean up uploaded files
@@ -144,20 +440,7 @@ router.post('/upload', upload.single('qrImage'), async (req, res) => {
     }
 
     // Create new OTP entry
-    const otpEntry = new OTPEntry({
-      userId: req.userId,
-      serviceName: otpData.issuer || 'Unknown Service',
-      accountName: otpData.account || 'Unknown Account',
-      issuer: otpData.issuer,
-      otpConfig: {
-        secret: otpData.secret,
-        type: otpData.type,
-        algorithm: otpData.algorithm,
-        digits: otpData.digits,
-        period: otpData.period,
-        counter: otpData.counter || 0
-      },
-      originalUrl: otpData.originalUrl,
+    const otpEntry = OTPEntry.fromOTPData(req.userId, otpData, {
       qrCodeImage: {
         filename: req.file.filename || `qr-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
         originalName: req.file.originalname,
@@ -198,6 +481,7 @@ router.post('/upload', upload.single('qrImage'), async (req, res) => {
         algorithm: otpEntry.otpConfig.algorithm,
         digits: otpEntry.otpConfig.digits,
         period: otpEntry.otpConfig.period,
+        t0: otpEntry.otpConfig.t0,
         displayName: otpEntry.displayName,
         createdAt: otpEntry.createdAt
       },
@@ -227,6 +511,379 @@ router.post('/upload', upload.single('qrImage'), async (req, res) => {
   }
 });
 
+// Create OTP entry from an otpauth:// URL or manually entered secret
+router.post('/', [
+  body('otpUrl').optional().isString().trim().matches(/^(otpauth|motp):\/\//).withMessage('Invalid OTP URL format'),
+  body('secret')
+    .if(body('otpUrl').not().exists())
+    .if(body('encryptedSecret').not().exists())
+    .isString().trim().notEmpty().withMessage('Either otpUrl or secret is required'),
+  body('encryptedSecret').optional().custom(isClientCiphertext).withMessage('Invalid encrypted secret'),
+  body('encryptedUrl').optional().custom(isClientCiphertext).withMessage('Invalid encrypted URL'),
+  body('issuer').optional().isString().trim().isLength({ max: 100 }),
+  body('account').optional().isString().trim().isLength({ max: 100 }),
+  body('type').optional().isIn(Object.values(OTPType)),
+  body('algorithm').optional().isIn(Object.values(OTPAlgorithm)),
+  body('digits').optional().isInt({ min: 4, max: 10 }).toInt(),
+  body('period').optional().isInt(PERIOD_RANGE)
+    .withMessage(`Period must be ${PERIOD_RANGE.min}-${PERIOD_RANGE.max} seconds`).toInt(),
+  body('t0').optional().isInt({ min: 0 }).toInt().custom(isPastTime).withMessage('t0 cannot be in the future'),
+  counterValidator('counter'),
+  body('ocraSuite').optional().isString().trim().isLength({ max: 64 }),
+  body('pin').optional().isString().matches(/^\d{4,16}$/).withMessage('PIN must be 4-16 digits'),
+  body('encryptedPin').optional().custom(isClientCiphertext).withMessage('Invalid encrypted PIN')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const clientVault = isClientVault(req.user);
+    const hasCiphertext = Boolean(req.body.encryptedSecret);
+
+    if (clientVault && (!hasCiphertext || !req.body.encryptedUrl || req.body.secret || req.body.otpUrl || req.body.pin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Vault is client-encrypted: send encryptedSecret and encryptedUrl instead of plaintext',
+        code: 'VAULT_REQUIRES_CIPHERTEXT'
+      });
+    }
+
+    if (!clientVault && (hasCiphertext || req.body.encryptedPin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Client-side encryption is not enabled for this account',
+        code: 'VAULT_NOT_ENABLED'
+      });
+    }
+
+    let otpData;
+
+    if (clientVault) {
+      // The server never sees the secret, so codes cannot be checked here
+      otpData = {
+        type: req.body.type || OTPType.TOTP,
+        issuer: req.body.issuer || '',
+        account: req.body.account || '',
+        secret: req.body.encryptedSecret,
+        algorithm: req.body.algorithm || OTPAlgorithm.SHA1,
+        digits: req.body.digits || 6,
+        period: req.body.period || 30,
+        t0: req.body.t0 || 0,
+        counter: req.body.counter || 0,
+        ocraSuite: req.body.ocraSuite,
+        originalUrl: req.body.encryptedUrl
+      };
+    } else if (req.body.otpUrl) {
+      otpData = parseOTPAuth(req.body.otpUrl);
+      if (!otpData.valid) {
+        return res.status(400).json({
+          success: false,
+          error: otpData.error,
+          code: otpData.code
+        });
+      }
+      if (otpData.type === 'migration') {
+        return res.status(400).json({
+          success: false,
+          error: 'Migration URLs carry several accounts, upload the QR code instead',
+          code: 'INVALID_OTP_URL'
+        });
+      }
+      // PINs are never part of the URL
+      otpData.pin = req.body.pin;
+    } else {
+      const { issuer, account, type = OTPType.TOTP } = req.body;
+      const hexSecret = type === OTPType.HEX || type === OTPType.HHEX;
+
+      // Setup keys are often shown in groups separated by spaces or dashes
+      const secret = req.body.secret.replace(/[\s-]/g, '');
+
+      otpData = {
+        type: type,
+        issuer: issuer || '',
+        account: account || '',
+        secret: hexSecret ? secret.toLowerCase() : secret.toUpperCase(),
+        algorithm: req.body.algorithm || OTPAlgorithm.SHA1,
+        digits: req.body.digits || 6,
+        period: req.body.period || 30,
+        t0: req.body.t0 || 0,
+        counter: req.body.counter || 0,
+        ocraSuite: req.body.ocraSuite,
+        pin: req.body.pin
+      };
+      applyFixedParameters(otpData);
+      otpData.label = otpData.issuer ? `${otpData.issuer}:${otpData.account}` : otpData.account;
+      otpData.originalUrl = buildStandardOTPUrl(otpData);
+    }
+
+    const validation = validateOTPData(otpData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid OTP data',
+        details: validation.errors,
+        code: 'INVALID_OTP_DATA'
+      });
+    }
+
+    // Generating a code up front catches secrets that cannot be decoded
+    let currentCode = null;
+    let multipleCodes = null;
+    if (!clientVault) {
+      try {
+        currentCode = OTPGenerator.generateCurrentCode(otpData);
+        multipleCodes = OTPGenerator.getMultipleCodes(otpData, 3);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: 'INVALID_SECRET'
+        });
+      }
+    }
+
+    const existingEntry = await OTPEntry.findDuplicate(req.userId, otpData);
+    if (existingEntry) {
+      return res.status(409).json({
+        success: false,
+        error: 'OTP entry already exists for this service and account',
+        code: 'DUPLICATE_ENTRY',
+        existingEntry: {
+          id: existingEntry._id,
+          serviceName: existingEntry.serviceName,
+          accountName: existingEntry.accountName,
+          createdAt: existingEntry.createdAt
+        }
+      });
+    }
+
+    if (clientVault) {
+      // Validated as ciphertext above, not as a PIN
+      otpData.pin = req.body.encryptedPin;
+    }
+
+    const otpEntry = OTPEntry.fromOTPData(req.userId, otpData, { clientEncrypted: clientVault });
+    await otpEntry.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'OTP entry created successfully',
+      entry: {
+        id: otpEntry._id,
+        serviceName: otpEntry.serviceName,
+        accountName: otpEntry.accountName,
+        issuer: otpEntry.issuer,
+        type: otpEntry.otpConfig.type,
+        algorithm: otpEntry.otpConfig.algorithm,
+        digits: otpEntry.otpConfig.digits,
+        period: otpEntry.otpConfig.period,
+        t0: otpEntry.otpConfig.t0,
+        ocraSuite: otpEntry.otpConfig.ocraSuite || undefined,
+        displayName: otpEntry.displayName,
+        clientEncrypted: otpEntry.clientEncrypted,
+        createdAt: otpEntry.createdAt
+      },
+      currentCode: currentCode,
+      multipleCodes: multipleCodes,
+      validation: validation
+    });
+
+  } catch (error) {
+    console.error('Create OTP entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create OTP entry',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Hand the secrets of time-based entries to the browser, which then generates their codes
+// itself until `expiresAt`, when its secret store drops them (BrowserOTP.createSecretStore).
+// HOTP codes stay with POST /:entryId/consume.
+router.post('/unlock', reauthenticationLimiter, [
+  ...reauthenticationRules,
+  body('minutes').optional().isInt({ min: 1, max: MAX_UNLOCK_MINUTES }).toInt()
+], reauthenticate, async (req, res) => {
+  try {
+    const minutes = req.body.minutes || DEFAULT_UNLOCK_MINUTES;
+    const entries = await OTPEntry.find({
+      userId: req.userId,
+      isActive: true,
+      clientEncrypted: { $ne: true }
+    });
+
+    const unlocked = [];
+    const skipped = [];
+    for (const entry of entries) {
+      const otpData = entry.getOTPData();
+      const reason = browserUnsupportedReason(otpData);
+      if (reason) {
+        skipped.push({ id: entry._id, reason });
+        continue;
+      }
+
+      unlocked.push({
+        id: entry._id,
+        otpData: {
+          type: otpData.type,
+          secret: otpData.secret,
+          algorithm: otpData.algorithm,
+          digits: otpData.digits,
+          period: otpData.period,
+          t0: otpData.t0
+        }
+      });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      entries: unlocked,
+      skipped: skipped
+    });
+
+  } catch (error) {
+    console.error('Unlock entries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock entries',
+      code: 'UNLOCK_ERROR'
+    });
+  }
+});
+
+// Export OTP entries as Google Authenticator migration QR codes
+router.post('/export', [
+  body('entryIds').optional().isArray({ min: 1 }),
+  body('entryIds.*').isMongoId(),
+  body('format').optional().isIn(['dataurl', 'png']),
+  body('batchSize').optional().isInt({ min: 1, max: 20 }),
+  body('batchIndex').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { entryIds, format = 'dataurl', batchSize = 10, batchIndex = 0 } = req.body;
+
+    const query = {
+      userId: req.userId,
+      isActive: true
+    };
+    if (entryIds) {
+      query._id = { $in: entryIds };
+    }
+
+    const entries = await OTPEntry.find(query).sort({ createdAt: 1 });
+
+    const exported = [];
+    const skipped = [];
+    const otpParameters = [];
+
+    entries.forEach((entry) => {
+      if (entry.clientEncrypted) {
+        skipped.push({
+          id: entry._id,
+          displayName: entry.displayName,
+          reason: 'Secret is client-encrypted and cannot be exported by the server'
+        });
+        return;
+      }
+
+      const params = toOtpParameters(entry.getOTPData());
+      if (params.error) {
+        skipped.push({
+          id: entry._id,
+          displayName: entry.displayName,
+          reason: params.error
+        });
+        return;
+      }
+      exported.push(entry);
+      otpParameters.push(params);
+    });
+
+    if (otpParameters.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No exportable OTP entries found',
+        code: 'NOTHING_TO_EXPORT',
+        skipped: skipped
+      });
+    }
+
+    // Seed the batch id with the selection so separate PNG requests share it
+    const batches = buildMigrationUrls(otpParameters, {
+      batchSize: parseInt(batchSize),
+      seed: `${req.userId}:${exported.map(entry => entry._id).join(',')}`
+    });
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'png') {
+      const batch = batches[parseInt(batchIndex)];
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: `Batch ${batchIndex} does not exist (export has ${batches.length} batches)`,
+          code: 'BATCH_NOT_FOUND'
+        });
+      }
+
+      const image = await QREncoder.toPNG(batch.url);
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('Content-Disposition', `inline; filename="otp-export-${batch.batchIndex + 1}-of-${batch.batchSize}.png"`);
+      res.setHeader('X-Batch-Index', batch.batchIndex);
+      res.setHeader('X-Batch-Size', batch.batchSize);
+      res.setHeader('X-Batch-Id', batch.batchId);
+      return res.send(image);
+    }
+
+    const perBatch = parseInt(batchSize);
+    const images = await Promise.all(batches.map(batch => QREncoder.toDataURL(batch.url)));
+
+    res.json({
+      success: true,
+      exported: exported.length,
+      batches: batches.map((batch, index) => ({
+        batchIndex: batch.batchIndex,
+        batchSize: batch.batchSize,
+        batchId: batch.batchId,
+        url: batch.url,
+        image: images[index],
+        entries: exported
+          .slice(index * perBatch, (index + 1) * perBatch)
+          .map(entry => ({ id: entry._id, displayName: entry.displayName }))
+      })),
+      skipped: skipped
+    });
+
+  } catch (error) {
+    console.error('Export OTP entries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export OTP entries',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
 // Get all OTP entries for user
 router.get('/', [
   query('search').optional().isString().trim(),
@@ -293,29 +950,14 @@ router.get('/', [
         .sort(sort)
         .skip(skip)
         .limit(parseInt(limit))
-        .select('-otpConfig.secret'), // Don't include secret in list
+        // Don't include secret in list, unless it is client-side ciphertext
+        .select(isClientVault(req.user) ? '-originalUrl' : '-otpConfig.secret'),
       OTPEntry.countDocuments(query)
     ]);
 
     res.json({
       success: true,
-      entries: entries.map(entry => ({
-        id: entry._id,
-        serviceName: entry.serviceName,
-        accountName: entry.accountName,
-        issuer: entry.issuer,
-        displayName: entry.displayName,
-        type: entry.otpConfig.type,
-        algorithm: entry.otpConfig.algorithm,
-        digits: entry.otpConfig.digits,
-        period: entry.otpConfig.period,
-        favorite: entry.favorite,
-        tags: entry.tags,
-        notes: entry.notes,
-        usage: entry.usage,
-        createdAt: entry.createdAt,
-        updatedAt: entry.updatedAt
-      })),
+      entries: entries.map(entrySummary),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -334,13 +976,197 @@ router.get('/', [
   }
 });
 
-// Get specific OTP entry
-router.get('/:entryId', async (req, res) => {
+// Current and next codes of all entries in one response; nothing is written
+router.get('/codes', async (req, res) => {
   try {
-    const { entryId } = req.params;
+    const entries = await OTPEntry.find({ userId: req.userId, isActive: true });
 
-    const entry = await OTPEntry.findOne({
-      _id: entryId,
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      entries: LiveCodes.snapshotAll(LiveCodes.prepare(entries))
+    });
+
+  } catch (error) {
+    console.error('Get all codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate codes',
+      code: 'GENERATION_ERROR'
+    });
+  }
+});
+
+// Server-Sent Events: a `codes` event with every entry, then one at each period
+// boundary with the entries whose code changed. The stream ends with the access token.
+router.get('/codes/stream', async (req, res) => {
+  let prepared;
+  try {
+    prepared = LiveCodes.prepare(await OTPEntry.find({ userId: req.userId, isActive: true }));
+  } catch (error) {
+    console.error('Live code stream error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate codes',
+      code: 'GENERATION_ERROR'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compression from buffering the events
+    'Cache-Control': 'no-store, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sent = new Map();
+  let pushTimer = null;
+  let closed = false;
+
+  const push = (initial = false) => {
+    try {
+      const snapshots = LiveCodes.snapshotAll(prepared);
+      const changed = snapshots
+        .filter(snapshot => sent.get(snapshot.id) !== `${snapshot.code}:${snapshot.nextCode}`);
+      if (changed.length > 0 || initial) {
+        changed.forEach(snapshot => sent.set(snapshot.id, `${snapshot.code}:${snapshot.nextCode}`));
+        res.write(`event: codes\ndata: ${JSON.stringify({ entries: changed })}\n\n`);
+      }
+
+      clearTimeout(pushTimer);
+      const delay = LiveCodes.msUntilNextChange(snapshots);
+      if (delay !== null) {
+        // Just past the boundary, so the new period has started
+        pushTimer = setTimeout(push, delay + 50);
+      }
+    } catch (error) {
+      console.error('Live code stream error:', error);
+      close();
+    }
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(pushTimer);
+    clearInterval(reloadTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(expiryTimer);
+    res.end();
+  };
+
+  // Pick up entries edited elsewhere; stop when the session is revoked
+  const reload = async () => {
+    try {
+      const session = await Session.findById(req.sessionRecord._id);
+      if (!session || !session.isActive) {
+        return close();
+      }
+
+      const entries = await OTPEntry.find({ userId: req.userId, isActive: true });
+      if (!closed) {
+        prepared = LiveCodes.prepare(entries);
+        push();
+      }
+    } catch (error) {
+      console.error('Live code stream reload error:', error);
+      close();
+    }
+  };
+
+  const reloadTimer = setInterval(reload, STREAM_RELOAD_INTERVAL);
+  const heartbeatTimer = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_INTERVAL);
+  const expiryTimer = setTimeout(close, Math.max(0, req.tokenExpiresAt - Date.now()));
+  req.on('close', close);
+
+  res.write('retry: 5000\n\n');
+  push(true);
+});
+
+// Entries created, updated and deleted since a cursor, oldest change first.
+// Without a cursor all active entries are returned; clients call again with
+// the returned cursor while hasMore is true, then keep it for the next sync.
+router.get('/sync', [
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: MAX_SYNC_LIMIT }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const settledBefore = new Date(Date.now() - SYNC_SETTLE_MS);
+    let cursor = { t: null, id: null, since: settledBefore.getTime() };
+    if (req.query.cursor) {
+      cursor = decodeSyncCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid sync cursor',
+          code: 'INVALID_CURSOR'
+        });
+      }
+    }
+    const limit = req.query.limit || DEFAULT_SYNC_LIMIT;
+
+    const conditions = [
+      { changedAt: { $lte: settledBefore } },
+      { $or: [{ isActive: true }, { changedAt: { $gt: new Date(cursor.since) } }] }
+    ];
+    if (cursor.t !== null) {
+      const after = new Date(cursor.t);
+      conditions.push({ $or: [{ changedAt: { $gt: after } }, { changedAt: after, _id: { $gt: cursor.id } }] });
+    }
+
+    const changes = await OTPEntry.find({ userId: req.userId, $and: conditions })
+      .sort({ changedAt: 1, _id: 1 })
+      .limit(limit + 1)
+      // Same fields as the list
+      .select(isClientVault(req.user) ? '-originalUrl' : '-otpConfig.secret');
+
+    const page = changes.slice(0, limit);
+    const last = page[page.length - 1];
+    const next = last
+      ? { t: last.changedAt.getTime(), id: last._id.toString(), since: cursor.since }
+      : cursor;
+
+    res.json({
+      success: true,
+      entries: page.filter(entry => entry.isActive).map(entrySummary),
+      // Tombstones of soft-deleted entries
+      deleted: page.filter(entry => !entry.isActive).map(entry => ({
+        id: entry._id,
+        version: entry.version,
+        deletedAt: entry.changedAt
+      })),
+      cursor: encodeSyncCursor(next),
+      hasMore: changes.length > limit
+    });
+
+  } catch (error) {
+    console.error('Sync OTP entries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync OTP entries',
+      code: 'SYNC_ERROR'
+    });
+  }
+});
+
+// Get specific OTP entry
+router.get('/:entryId', async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    const entry = await OTPEntry.findOne({
+      _id: entryId,
       userId: req.userId,
       isActive: true
     });
@@ -357,6 +1183,7 @@ router.get('/:entryId', async (req, res) => {
       success: true,
       entry: {
         id: entry._id,
+        version: entry.version,
         serviceName: entry.serviceName,
         accountName: entry.accountName,
         issuer: entry.issuer,
@@ -366,9 +1193,16 @@ router.get('/:entryId', async (req, res) => {
           algorithm: entry.otpConfig.algorithm,
           digits: entry.otpConfig.digits,
           period: entry.otpConfig.period,
+          t0: entry.otpConfig.t0,
           counter: entry.otpConfig.counter
           // secret is excluded for security
         },
+        clientEncrypted: entry.clientEncrypted,
+        // The PIN itself is never returned
+        pinSet: Boolean(entry.otpConfig.pin),
+        // Ciphertext only the user's browser can decrypt
+        encryptedSecret: entry.clientEncrypted ? entry.getOTPData().secret : undefined,
+        encryptedUrl: entry.clientEncrypted ? entry.getOriginalUrl() : undefined,
         favorite: entry.favorite,
         tags: entry.tags,
         notes: entry.notes,
@@ -393,6 +1227,109 @@ router.get('/:entryId', async (req, res) => {
   }
 });
 
+// Reveal the setup key and canonical otpauth:// URL
+router.post('/:entryId/setup-key', reauthenticationLimiter, reauthenticationRules, reauthenticate, async (req, res) => {
+  try {
+    const entry = await OTPEntry.findOne({
+      _id: req.params.entryId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP entry not found',
+        code: 'ENTRY_NOT_FOUND'
+      });
+    }
+
+    if (entry.clientEncrypted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Secret is client-encrypted, the browser holds the setup key',
+        code: 'CLIENT_ENCRYPTED'
+      });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      entry: {
+        id: entry._id,
+        displayName: entry.displayName
+      },
+      secret: entry.getOTPData().secret,
+      otpUrl: buildOTPAuthUrl(entry),
+      // The URL never carries the PIN of mOTP / Yandex.Key tokens
+      pinRequired: [OTPType.MOTP, OTPType.YANDEX].includes(entry.otpConfig.type)
+    });
+
+  } catch (error) {
+    console.error('Setup key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reveal setup key',
+      code: 'SETUP_KEY_ERROR'
+    });
+  }
+});
+
+// Render a fresh QR code of the canonical otpauth:// URL
+router.post('/:entryId/qr', reauthenticationLimiter, [
+  ...reauthenticationRules,
+  body('format').optional().isIn(['png', 'svg', 'terminal', 'ascii']),
+  body('size').optional().isInt({ min: 64, max: 2048 }).toInt(),
+  body('margin').optional().isInt({ min: 0, max: 16 }).toInt(),
+  body('errorCorrectionLevel').optional().isIn(['L', 'M', 'Q', 'H'])
+], reauthenticate, async (req, res) => {
+  try {
+    const entry = await OTPEntry.findOne({
+      _id: req.params.entryId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP entry not found',
+        code: 'ENTRY_NOT_FOUND'
+      });
+    }
+
+    if (entry.clientEncrypted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Secret is client-encrypted, render the QR code in the browser',
+        code: 'CLIENT_ENCRYPTED'
+      });
+    }
+
+    const { format = 'png', size, margin, errorCorrectionLevel } = req.body;
+    const rendered = await QREncoder.render(buildOTPAuthUrl(entry), format, {
+      width: size,
+      margin: margin,
+      errorCorrectionLevel: errorCorrectionLevel
+    });
+
+    res.setHeader('Content-Type', QREncoder.contentType(format));
+    res.setHeader('Cache-Control', 'no-store');
+    if (format === 'png' || format === 'svg') {
+      res.setHeader('Content-Disposition', `inline; filename="otp-${entry._id}.${format}"`);
+    }
+    res.send(rendered);
+
+  } catch (error) {
+    console.error('Render QR code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render QR code',
+      code: 'QR_RENDER_ERROR'
+    });
+  }
+});
+
 // Generate current code for OTP entry
 router.post('/:entryId/generate', async (req, res) => {
   try {
@@ -412,32 +1349,48 @@ router.post('/:entryId/generate', async (req, res) => {
       });
     }
 
+    if (entry.clientEncrypted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Secret is client-encrypted; generate codes in the browser',
+        code: 'CLIENT_ENCRYPTED'
+      });
+    }
+
+    if (entry.otpConfig.type === OTPType.OCRA) {
+      return res.status(400).json({
+        success: false,
+        error: 'OCRA responses need a challenge; use POST /api/otp/:entryId/ocra',
+        code: 'OCRA_CHALLENGE_REQUIRED'
+      });
+    }
+
+    if (requiresMissingPin(entry)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set the PIN for this entry before generating codes',
+        code: 'PIN_REQUIRED'
+      });
+    }
+
     // Build OTP data for generation
-    const otpData = {
-      type: entry.otpConfig.type,
-      secret: entry.otpConfig.secret,
-      algorithm: entry.otpConfig.algorithm,
-      digits: entry.otpConfig.digits,
-      period: entry.otpConfig.period,
-      counter: entry.otpConfig.counter
-    };
+    const otpData = entry.getOTPData();
 
     // Generate codes
     const currentCode = OTPGenerator.generateCurrentCode(otpData);
     const multipleCodes = OTPGenerator.getMultipleCodes(otpData, 5);
 
-    // Update usage statistics
-    await entry.updateUsage(currentCode.code);
-
-    // For HOTP, increment counter
-    if (entry.otpConfig.type === 'hotp' || entry.otpConfig.type === 'hhex') {
-      await entry.incrementCounter();
+    // HOTP codes are only previewed here; POST /:entryId/consume hands them out
+    const counterBased = OTPVerifier.isCounterBased(otpData);
+    if (!counterBased) {
+      await entry.updateUsage(currentCode.code);
     }
 
     res.json({
       success: true,
       currentCode: currentCode,
       multipleCodes: multipleCodes,
+      preview: counterBased,
       entry: {
         id: entry._id,
         serviceName: entry.serviceName,
@@ -456,6 +1409,388 @@ router.post('/:entryId/generate', async (req, res) => {
   }
 });
 
+// Hand out the code of the current HOTP counter and advance the counter
+router.post('/:entryId/consume', async (req, res) => {
+  try {
+    const entry = await OTPEntry.findOne({
+      _id: req.params.entryId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP entry not found',
+        code: 'ENTRY_NOT_FOUND'
+      });
+    }
+
+    if (![OTPType.HOTP, OTPType.HHEX].includes(entry.otpConfig.type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only HOTP entries have a counter to advance',
+        code: 'NOT_COUNTER_BASED'
+      });
+    }
+
+    const counter = await entry.consumeCounter();
+    if (counter === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'HOTP counter cannot be advanced any further',
+        code: 'COUNTER_EXHAUSTED'
+      });
+    }
+
+    // Client-encrypted entries get the claimed counter; the browser computes the code
+    const currentCode = entry.clientEncrypted
+      ? null
+      : OTPGenerator.generateHOTP({ ...entry.getOTPData(), counter });
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      counter: counter,
+      nextCounter: entry.otpConfig.counter,
+      version: entry.version,
+      currentCode: currentCode
+    });
+
+  } catch (error) {
+    console.error('Consume HOTP code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to advance HOTP counter',
+      code: 'COUNTER_ERROR'
+    });
+  }
+});
+
+// Compute an OCRA response for a challenge; suites with a counter advance it
+router.post('/:entryId/ocra', [
+  body('challenge').isString().trim().notEmpty().withMessage('Challenge is required'),
+  counterValidator('counter'),
+  body('password').optional().isString().notEmpty(),
+  body('passwordHash').optional().isHexadecimal(),
+  body('session').optional().isHexadecimal(),
+  body('timestamp').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const entry = await OTPEntry.findOne({
+      _id: req.params.entryId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP entry not found',
+        code: 'ENTRY_NOT_FOUND'
+      });
+    }
+
+    if (entry.otpConfig.type !== OTPType.OCRA) {
+      return res.status(400).json({
+        success: false,
+        error: 'Entry is not an OCRA token',
+        code: 'NOT_OCRA'
+      });
+    }
+
+    if (entry.clientEncrypted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Secret is client-encrypted; generate codes in the browser',
+        code: 'CLIENT_ENCRYPTED'
+      });
+    }
+
+    const { challenge, password, passwordHash, session, timestamp } = req.body;
+    // Without an explicit counter the stored one is used and advanced; an explicit
+    // counter may skip ahead (token resync) but never reuse an earlier one
+    const storedCounter = entry.otpConfig.counter || 0;
+    const counter = req.body.counter !== undefined ? req.body.counter : storedCounter;
+    if (OTPGenerator.compareCounters(counter, storedCounter) < 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Counter cannot go back below the stored counter ${storedCounter}`,
+        code: 'COUNTER_BEHIND'
+      });
+    }
+
+    let response;
+    try {
+      response = OTPGenerator.generateOCRA(entry.getOTPData(), {
+        challenge,
+        counter,
+        password,
+        passwordHash,
+        session,
+        timestamp
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_OCRA_INPUT'
+      });
+    }
+
+    if (response.nextCounter === undefined) {
+      await entry.updateUsage(response.code);
+    } else if (response.nextCounter === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'OCRA counter cannot be advanced any further',
+        code: 'COUNTER_EXHAUSTED'
+      });
+    } else if (!await entry.advanceCounter(storedCounter, response.nextCounter, response.code)) {
+      // Another request used the counter first; its response must not be handed out twice
+      return res.status(409).json({
+        success: false,
+        error: 'The counter was advanced by another request, try again',
+        code: 'COUNTER_CONFLICT'
+      });
+    }
+
+    res.json({
+      success: true,
+      response: response,
+      entry: {
+        id: entry._id,
+        serviceName: entry.serviceName,
+        accountName: entry.accountName,
+        displayName: entry.displayName
+      }
+    });
+
+  } catch (error) {
+    console.error('Generate OCRA response error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate OCRA response',
+      code: 'GENERATION_ERROR'
+    });
+  }
+});
+
+// Verify a code for an entry; HOTP counters advance, replays are rejected
+router.post('/:entryId/verify', [
+  body('code').isString().trim().notEmpty().withMessage('Code to verify is required'),
+  body('nextCode').optional().isString().trim().notEmpty(),
+  body('window').optional().isInt({ min: 0, max: 10 }).toInt(),
+  body('lookAhead').optional().isInt({ min: 0, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { entryId } = req.params;
+    const { code, nextCode, window, lookAhead } = req.body;
+
+    const entry = await OTPEntry.findOne({
+      _id: entryId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP entry not found',
+        code: 'ENTRY_NOT_FOUND'
+      });
+    }
+
+    if (entry.clientEncrypted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Secret is client-encrypted; codes cannot be verified by the server',
+        code: 'CLIENT_ENCRYPTED'
+      });
+    }
+
+    if (entry.otpConfig.type === OTPType.OCRA) {
+      return res.status(400).json({
+        success: false,
+        error: 'OCRA responses can only be checked against their challenge',
+        code: 'OCRA_CHALLENGE_REQUIRED'
+      });
+    }
+
+    if (requiresMissingPin(entry)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set the PIN for this entry before verifying codes',
+        code: 'PIN_REQUIRED'
+      });
+    }
+
+    const result = await OTPVerifier.verifyEntry(entry, code, { nextCode, window, lookAhead });
+
+    // The expected code is not returned: it would reveal a valid code
+    res.json({
+      success: true,
+      verification: {
+        valid: result.valid,
+        replay: Boolean(result.replay),
+        resynchronized: Boolean(result.resynchronized),
+        timeWindow: result.timeWindow,
+        counterDrift: result.counterDrift
+      },
+      counter: entry.otpConfig.type === OTPType.HOTP || entry.otpConfig.type === OTPType.HHEX
+        ? entry.otpConfig.counter
+        : undefined
+    });
+
+  } catch (error) {
+    console.error('Verify OTP code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify OTP code',
+      code: 'VERIFICATION_ERROR'
+    });
+  }
+});
+
+// Look up an owned entry whose codes depend on the time, for the clock debugging routes
+async function loadTimeBasedEntry(req, res, next) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const entry = await OTPEntry.findOne({
+      _id: req.params.entryId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP entry not found',
+        code: 'ENTRY_NOT_FOUND'
+      });
+    }
+
+    if (entry.clientEncrypted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Secret is client-encrypted; codes cannot be computed by the server',
+        code: 'CLIENT_ENCRYPTED'
+      });
+    }
+
+    if ([OTPType.HOTP, OTPType.HHEX, OTPType.OCRA].includes(entry.otpConfig.type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Codes of this entry do not depend on the time',
+        code: 'NOT_TIME_BASED'
+      });
+    }
+
+    if (requiresMissingPin(entry)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set the PIN for this entry before computing codes',
+        code: 'PIN_REQUIRED'
+      });
+    }
+
+    const time = req.method === 'GET' ? req.query.time : req.body.time;
+    if (time !== undefined && time < (entry.otpConfig.t0 || 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Time is before the T0 epoch of this entry',
+        code: 'TIME_BEFORE_T0'
+      });
+    }
+
+    req.entry = entry;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Codes for any moment and the periods around it, e.g. to see which period a failed code was from
+router.get('/:entryId/codes', [
+  query('time').optional().isInt({ min: 0 }).toInt(),
+  query('before').optional().isInt({ min: 0, max: 100 }).toInt(),
+  query('after').optional().isInt({ min: 0, max: 100 }).toInt()
+], loadTimeBasedEntry, async (req, res) => {
+  try {
+    const { time = Math.floor(Date.now() / 1000), before = 0, after = 0 } = req.query;
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      time: time,
+      codes: OTPGenerator.getCodesAround(req.entry.getOTPData(), time, before, after)
+    });
+
+  } catch (error) {
+    console.error('Get codes around time error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate codes',
+      code: 'GENERATION_ERROR'
+    });
+  }
+});
+
+// Which period a code belongs to, and how far off the clock of the device showing it is
+router.post('/:entryId/clock-skew', [
+  body('code').isString().trim().notEmpty().withMessage('Code to look up is required'),
+  body('time').optional().isInt({ min: 0 }).toInt(),
+  body('window').optional().isInt({ min: 1, max: 1000 }).toInt()
+], loadTimeBasedEntry, async (req, res) => {
+  try {
+    const { code, time = Math.floor(Date.now() / 1000), window = 10 } = req.body;
+
+    // Nothing is recorded: the code stays usable and replay state is untouched
+    res.json({
+      success: true,
+      time: time,
+      match: OTPGenerator.findCodeOffset(req.entry.getOTPData(), code, time, window)
+    });
+
+  } catch (error) {
+    console.error('Clock skew lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up code',
+      code: 'CLOCK_SKEW_ERROR'
+    });
+  }
+});
+
 // Update OTP entry
 router.put('/:entryId', [
   body('serviceName').optional().isString().trim().isLength({ min: 1, max: 100 }),
@@ -463,7 +1798,23 @@ router.put('/:entryId', [
   body('favorite').optional().isBoolean(),
   body('tags').optional().isArray(),
   body('tags.*').isString().trim().isLength({ min: 1, max: 30 }),
-  body('notes').optional().isString().trim().isLength({ max: 500 })
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  body('otpConfig').optional().isObject(),
+  body('otpConfig.type').optional().isIn(Object.values(OTPType)),
+  body('otpConfig.algorithm').optional().isIn(Object.values(OTPAlgorithm)),
+  body('otpConfig.digits').optional().isInt({ min: 4, max: 10 }).toInt(),
+  body('otpConfig.period').optional().isInt(PERIOD_RANGE)
+    .withMessage(`Period must be ${PERIOD_RANGE.min}-${PERIOD_RANGE.max} seconds`).toInt(),
+  body('otpConfig.t0').optional().isInt({ min: 0 }).toInt().custom(isPastTime).withMessage('t0 cannot be in the future'),
+  counterValidator('otpConfig.counter'),
+  body('otpConfig.ocraSuite').optional().isString().trim().isLength({ max: 64 }),
+  body('otpConfig.pin').optional().isString().matches(/^\d{4,16}$/).withMessage('PIN must be 4-16 digits'),
+  body('otpConfig.encryptedPin').optional().custom(isClientCiphertext).withMessage('Invalid encrypted PIN'),
+  body('otpConfig.secret').optional().isString().trim().notEmpty(),
+  body('otpConfig.encryptedSecret').optional().custom(isClientCiphertext).withMessage('Invalid encrypted secret'),
+  body('otpConfig.encryptedUrl').optional().custom(isClientCiphertext).withMessage('Invalid encrypted URL'),
+  // The version the change is based on; a newer stored version is a conflict
+  body('version').optional().isInt({ min: 1 }).toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -477,7 +1828,7 @@ router.put('/:entryId', [
     }
 
     const { entryId } = req.params;
-    const { serviceName, accountName, favorite, tags, notes } = req.body;
+    const { serviceName, accountName, favorite, tags, notes, otpConfig, version } = req.body;
 
     const entry = await OTPEntry.findOne({
       _id: entryId,
@@ -493,6 +1844,10 @@ router.put('/:entryId', [
       });
     }
 
+    if (version !== undefined && version !== entry.version) {
+      return versionConflict(res, entry);
+    }
+
     // Update fields
     if (serviceName !== undefined) entry.serviceName = serviceName;
     if (accountName !== undefined) entry.accountName = accountName;
@@ -500,19 +1855,119 @@ router.put('/:entryId', [
     if (tags !== undefined) entry.tags = tags;
     if (notes !== undefined) entry.notes = notes;
 
-    await entry.save();
+    // Client-encrypted entries: the browser sends the new secret and URL as ciphertext
+    if (otpConfig && entry.clientEncrypted) {
+      if (otpConfig.secret !== undefined || otpConfig.pin !== undefined || !otpConfig.encryptedUrl) {
+        return res.status(400).json({
+          success: false,
+          error: 'Entry is client-encrypted: send encryptedSecret and encryptedUrl instead of plaintext',
+          code: 'VAULT_REQUIRES_CIPHERTEXT'
+        });
+      }
+
+      const changes = {};
+      ['type', 'algorithm', 'digits', 'period', 't0', 'counter', 'ocraSuite'].forEach((key) => {
+        if (otpConfig[key] !== undefined && otpConfig[key] !== entry.otpConfig[key]) {
+          changes[key] = otpConfig[key];
+        }
+      });
+      if (otpConfig.encryptedSecret) {
+        changes.secret = otpConfig.encryptedSecret;
+      }
+      if (otpConfig.encryptedPin) {
+        changes.pin = otpConfig.encryptedPin;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        entry.updateOTPConfig(changes, otpConfig.encryptedUrl);
+      }
+    } else if (otpConfig && (otpConfig.encryptedSecret || otpConfig.encryptedUrl || otpConfig.encryptedPin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Client-side encryption is not enabled for this entry',
+        code: 'VAULT_NOT_ENABLED'
+      });
+    } else if (otpConfig) {
+      // Update OTP configuration, validated the same way as scanned QR codes
+      const current = entry.getOTPData();
+      const changes = {};
+      ['type', 'algorithm', 'digits', 'period', 't0', 'counter', 'ocraSuite', 'pin', 'secret'].forEach((key) => {
+        if (otpConfig[key] !== undefined && otpConfig[key] !== current[key]) {
+          changes[key] = otpConfig[key];
+        }
+      });
+
+      if (changes.secret) {
+        const type = changes.type || entry.otpConfig.type;
+        const secret = changes.secret.replace(/[\s-]/g, '');
+        changes.secret = type === OTPType.HEX || type === OTPType.HHEX
+          ? secret.toLowerCase()
+          : secret.toUpperCase();
+      }
+
+      const pinTypes = [OTPType.MOTP, OTPType.YANDEX];
+      if (changes.type && !pinTypes.includes(changes.type) && current.pin) {
+        changes.pin = null;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        const otpData = applyFixedParameters({ ...current, ...changes });
+        ['secret', 'algorithm', 'digits', 'period'].forEach((key) => {
+          if (otpData[key] !== current[key]) {
+            changes[key] = otpData[key];
+          }
+        });
+
+        const validation = validateOTPData(otpData);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid OTP configuration',
+            details: validation.errors,
+            code: 'INVALID_OTP_DATA'
+          });
+        }
+
+        try {
+          OTPGenerator.generateCurrentCode(otpData);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            code: 'INVALID_SECRET'
+          });
+        }
+
+        entry.updateOTPConfig(changes, buildStandardOTPUrl(otpData));
+      }
+    }
+
+    // Another request may have saved since the entry was read
+    if (!await entry.saveChange()) {
+      return versionConflict(res, await OTPEntry.findById(entry._id));
+    }
 
     res.json({
       success: true,
       message: 'OTP entry updated successfully',
       entry: {
         id: entry._id,
+        version: entry.version,
         serviceName: entry.serviceName,
         accountName: entry.accountName,
         displayName: entry.displayName,
         favorite: entry.favorite,
         tags: entry.tags,
         notes: entry.notes,
+        otpConfig: {
+          type: entry.otpConfig.type,
+          algorithm: entry.otpConfig.algorithm,
+          digits: entry.otpConfig.digits,
+          period: entry.otpConfig.period,
+          t0: entry.otpConfig.t0,
+          counter: entry.otpConfig.counter
+        },
+        undoAvailable: entry.otpConfigHistory.length > 0,
         updatedAt: entry.updatedAt
       }
     });
@@ -527,9 +1982,98 @@ router.put('/:entryId', [
   }
 });
 
-// Delete OTP entry
-router.delete('/:entryId', async (req, res) => {
+// Undo the most recent OTP configuration change
+router.post('/:entryId/otp-config/undo', [
+  body('version').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { entryId } = req.params;
+
+    const entry = await OTPEntry.findOne({
+      _id: entryId,
+      userId: req.userId,
+      isActive: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP entry not found',
+        code: 'ENTRY_NOT_FOUND'
+      });
+    }
+
+    if (req.body.version !== undefined && req.body.version !== entry.version) {
+      return versionConflict(res, entry);
+    }
+
+    if (!entry.undoOTPConfig()) {
+      return res.status(409).json({
+        success: false,
+        error: 'No previous OTP configuration to restore',
+        code: 'NOTHING_TO_UNDO'
+      });
+    }
+
+    if (!await entry.saveChange()) {
+      return versionConflict(res, await OTPEntry.findById(entry._id));
+    }
+
+    res.json({
+      success: true,
+      message: 'OTP configuration restored',
+      entry: {
+        id: entry._id,
+        version: entry.version,
+        displayName: entry.displayName,
+        otpConfig: {
+          type: entry.otpConfig.type,
+          algorithm: entry.otpConfig.algorithm,
+          digits: entry.otpConfig.digits,
+          period: entry.otpConfig.period,
+          t0: entry.otpConfig.t0,
+          counter: entry.otpConfig.counter
+        },
+        undoAvailable: entry.otpConfigHistory.length > 0,
+        updatedAt: entry.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Undo OTP config error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore OTP configuration',
+      code: 'UNDO_ERROR'
+    });
+  }
+});
+
+// Delete OTP entry; with ?version= only if it is still that version
+router.delete('/:entryId', [
+  query('version').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
     const { entryId } = req.params;
 
     const entry = await OTPEntry.findOne({
@@ -546,9 +2090,15 @@ router.delete('/:entryId', async (req, res) => {
       });
     }
 
-    // Soft delete
+    if (req.query.version !== undefined && req.query.version !== entry.version) {
+      return versionConflict(res, entry);
+    }
+
+    // Soft delete, kept as a tombstone for GET /sync
     entry.isActive = false;
-    await entry.save();
+    if (!await entry.saveChange()) {
+      return versionConflict(res, await OTPEntry.findById(entry._id));
+    }
 
     // Clean up QR code images
     if (entry.qrCodeImage && entry.qrCodeImage.path) {
@@ -566,7 +2116,8 @@ router.delete('/:entryId', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'OTP entry deleted successfully'
+      message: 'OTP entry deleted successfully',
+      version: entry.version
     });
 
   } catch (error) {
@@ -591,10 +2142,11 @@ router.get('/:entryId/image', async (req, res) => {
       isActive: true
     });
 
+    // Memory storage keeps no uploads; POST /:entryId/qr renders a new code instead
     if (!entry || !entry.qrCodeImage) {
       return res.status(404).json({
         success: false,
-        error: 'QR code image not found',
+        error: 'QR code image not found, render one with POST /api/otp/:entryId/qr',
         code: 'IMAGE_NOT_FOUND'
       });
     }
@@ -0,0 +1,212 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const OTPEntry = require('../models/OTPEntry');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  VaultMode,
+  VAULT_KDF,
+  isClientCiphertext,
+  isClientVault
+} = require('../lib/client-vault');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get vault mode and key-derivation parameters
+router.get('/', (req, res) => {
+  const vault = req.user.vault || {};
+
+  res.json({
+    success: true,
+    vault: {
+      mode: vault.mode || VaultMode.SERVER,
+      kdf: isClientVault(req.user) ? vault.kdf : null,
+      keyCheck: vault.keyCheck || null,
+      enabledAt: vault.enabledAt || null,
+      defaults: {
+        algorithm: VAULT_KDF.algorithm,
+        hash: VAULT_KDF.hash,
+        iterations: VAULT_KDF.defaultIterations
+      }
+    }
+  });
+});
+
+// Hand out current secrets once, so the browser can re-encrypt them for the vault
+router.post('/export-secrets', [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (isClientVault(req.user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Vault is already client-encrypted',
+        code: 'VAULT_ALREADY_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await req.user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Soft-deleted entries still hold secrets, so they are re-encrypted too
+    const entries = await OTPEntry.find({ userId: req.userId });
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      entries: entries.map(entry => ({
+        id: entry._id,
+        secret: entry.getOTPData().secret,
+        // PINs of mOTP / Yandex.Key entries are re-encrypted with the secret
+        pin: entry.getOTPData().pin || undefined,
+        originalUrl: entry.getOriginalUrl(),
+        isActive: entry.isActive
+      }))
+    });
+
+  } catch (error) {
+    console.error('Vault export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export secrets',
+      code: 'VAULT_EXPORT_ERROR'
+    });
+  }
+});
+
+// Switch the account to client-side encryption, replacing every secret with ciphertext
+router.post('/enable', [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('kdf.salt').isBase64().isLength({ min: 16, max: 128 }).withMessage('A base64 salt is required'),
+  body('kdf.iterations').isInt({ min: VAULT_KDF.minIterations, max: 10000000 }).toInt(),
+  body('keyCheck').custom(isClientCiphertext).withMessage('Invalid key check value'),
+  body('entries').isArray(),
+  body('entries.*.id').isMongoId(),
+  body('entries.*.encryptedSecret').custom(isClientCiphertext).withMessage('Secrets must be client-encrypted'),
+  body('entries.*.encryptedUrl').custom(isClientCiphertext).withMessage('URLs must be client-encrypted'),
+  body('entries.*.encryptedPin').optional().custom(isClientCiphertext).withMessage('PINs must be client-encrypted')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = req.user;
+
+    if (isClientVault(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Vault is already client-encrypted',
+        code: 'VAULT_ALREADY_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const { kdf, keyCheck } = req.body;
+    const encrypted = new Map(req.body.entries.map(item => [item.id, item]));
+    let entries = [];
+    let missing = [];
+
+    // The entries and the vault mode change in one transaction: a failure part-way
+    // must not leave client ciphertext in entries of an account still in server mode
+    await mongoose.connection.transaction(async (session) => {
+      entries = await OTPEntry.find({ userId: req.userId }).session(session);
+
+      // Every existing entry must be re-encrypted, otherwise plaintext would remain
+      missing = entries.filter(entry => !encrypted.has(entry._id.toString())
+        || (entry.otpConfig.pin && !encrypted.get(entry._id.toString()).encryptedPin));
+      if (missing.length > 0 || encrypted.size !== entries.length) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const item = encrypted.get(entry._id.toString());
+        entry.otpConfig.secret = item.encryptedSecret;
+        entry.otpConfig.pin = item.encryptedPin || null;
+        entry.originalUrl = item.encryptedUrl;
+        entry.clientEncrypted = true;
+        // Old configurations hold plaintext secrets
+        entry.otpConfigHistory = [];
+        entry.markChanged();
+        await entry.save({ session });
+      }
+
+      user.vault = {
+        mode: VaultMode.CLIENT,
+        kdf: {
+          algorithm: VAULT_KDF.algorithm,
+          hash: VAULT_KDF.hash,
+          iterations: kdf.iterations,
+          salt: kdf.salt
+        },
+        keyCheck: keyCheck,
+        enabledAt: new Date()
+      };
+      await user.save({ session });
+    });
+
+    if (!isClientVault(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Encrypted entries do not match the current vault contents',
+        code: 'VAULT_ENTRIES_MISMATCH',
+        missing: missing.map(entry => entry._id)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Zero-knowledge vault enabled',
+      reencrypted: entries.length,
+      vault: {
+        mode: user.vault.mode,
+        kdf: user.vault.kdf,
+        keyCheck: user.vault.keyCheck,
+        enabledAt: user.vault.enabledAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Vault enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable vault',
+      code: 'VAULT_ENABLE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
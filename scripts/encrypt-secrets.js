@@ -0,0 +1,68 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const OTPEntry = require('../models/OTPEntry');
+const { isEncryptionEnabled } = require('../lib/secret-encryption');
+
+/**
+ * Encrypt OTP secrets in place
+ *
+ * Encrypts plaintext otpConfig.secret / pin / originalUrl values left over from
+ * before encryption was enabled, and re-encrypts values under an old key
+ * version after OTP_ENCRYPTION_KEY_VERSION has been bumped.
+ *
+ * Usage: npm run migrate:encrypt-secrets [-- --dry-run]
+ */
+async function encryptSecrets({ dryRun }) {
+  if (!isEncryptionEnabled()) {
+    throw new Error('Set OTP_ENCRYPTION_KEYS before running the migration');
+  }
+
+  await database.connect();
+
+  let scanned = 0;
+  let updated = 0;
+  let failed = 0;
+
+  // Soft-deleted entries still hold secrets, so include them
+  const cursor = OTPEntry.find({}).cursor();
+
+  for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+    scanned++;
+
+    try {
+      entry.encryptSensitiveFields();
+      if (!entry.isModified()) {
+        continue;
+      }
+
+      if (!dryRun) {
+        await entry.save({ timestamps: false });
+      }
+      updated++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ Could not encrypt entry ${entry._id}:`, error.message);
+    }
+  }
+
+  console.log(`🔐 Scanned ${scanned} entries, ${dryRun ? 'would update' : 'updated'} ${updated}, failed ${failed}`);
+  return failed === 0;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  encryptSecrets({ dryRun })
+    .then(async (ok) => {
+      await database.disconnect();
+      process.exit(ok ? 0 : 1);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await database.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { encryptSecrets };
@@ -0,0 +1,45 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const Session = require('../models/Session');
+
+/**
+ * Remove sessions created before refresh token rotation
+ *
+ * Older sessions stored a raw JWT in sessionToken and have no refresh token
+ * hash, so they can neither be refreshed nor coexist with the unique index
+ * on refreshTokenHash. They are deleted (users sign in again) and the
+ * session indexes are synced, which drops the old sessionToken index.
+ *
+ * Usage: npm run migrate:sessions [-- --dry-run]
+ */
+async function migrateSessions({ dryRun }) {
+  await database.connect();
+
+  const legacy = { refreshTokenHash: { $exists: false } };
+  const count = await Session.countDocuments(legacy);
+
+  if (!dryRun) {
+    await Session.deleteMany(legacy);
+    await Session.syncIndexes();
+  }
+
+  console.log(`🔑 ${dryRun ? 'Would remove' : 'Removed'} ${count} legacy sessions`);
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  migrateSessions({ dryRun })
+    .then(async () => {
+      await database.disconnect();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await database.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateSessions };
@@ -0,0 +1,47 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const OTPEntry = require('../models/OTPEntry');
+
+/**
+ * Give entries saved before delta sync a version and change time
+ *
+ * GET /api/otp/sync pages through entries by changedAt, and saves check the
+ * stored version, so entries without the fields would neither be synced nor
+ * editable. They start at version 1, changed when they were last updated.
+ * The sync index is created as well.
+ *
+ * Usage: npm run migrate:sync [-- --dry-run]
+ */
+async function migrateSyncFields({ dryRun }) {
+  await database.connect();
+
+  const legacy = { changedAt: { $exists: false } };
+  const count = await OTPEntry.countDocuments(legacy);
+
+  if (!dryRun) {
+    await OTPEntry.updateMany(legacy, [
+      { $set: { version: { $ifNull: ['$version', 1] }, changedAt: { $ifNull: ['$updatedAt', '$$NOW'] } } }
+    ], { timestamps: false });
+    await OTPEntry.syncIndexes();
+  }
+
+  console.log(`🔄 ${dryRun ? 'Would update' : 'Updated'} ${count} entries for delta sync`);
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  migrateSyncFields({ dryRun })
+    .then(async () => {
+      await database.disconnect();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await database.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateSyncFields };
@@ -19,11 +19,18 @@ const QRService = process.env.NODE_ENV === 'production'
   ? require('./services/qr-service-optimized')
   : require('./services/qr-service');
 const OTPGenerator = require('./services/otp-generator');
+const OTPVerifier = require('./services/otp-verifier');
 const { formatOTPResponse } = require('./lib/otp-parser');
+const { assertEncryptionConfigured } = require('./lib/secret-encryption');
+
+// Secrets are never stored in plaintext in production
+assertEncryptionConfigured();
 
 // Routes
 const authRoutes = require('./routes/auth');
 const otpRoutes = require('./routes/otp');
+const vaultRoutes = require('./routes/vault');
+const issuerRoutes = require('./routes/issuer');
 
 // Middleware
 const { optionalAuth } = require('./middleware/auth');
@@ -133,6 +140,8 @@ app.use(express.static(path.join(__dirname, 'public')));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/otp', otpRoutes);
+app.use('/api/vault', vaultRoutes);
+app.use('/api/issuer', issuerRoutes);
 
 // Legacy QR endpoints (for backward compatibility, no auth required)
 app.post('/api/qr/upload', upload.single('qrImage'), async (req, res) => {
@@ -491,11 +500,11 @@ app.post('/api/otp/generate', [
     
     // Parse the OTP URL
     const parsedData = parseOTPAuth(otpUrl);
-    if (!parsedData) {
+    if (!parsedData.valid) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid OTP URL',
-        code: 'INVALID_OTP_URL'
+        error: parsedData.error,
+        code: parsedData.code
       });
     }
 
@@ -532,8 +541,12 @@ app.post('/api/otp/generate', [
 // Verify OTP code
 app.post('/api/otp/verify', [
   body('otpUrl').notEmpty().withMessage('OTP URL is required'),
-  body('code').notEmpty().withMessage('Code to verify is required')
-], (req, res) => {
+  body('code').isString().notEmpty().withMessage('Code to verify is required'),
+  body('nextCode').optional().isString().notEmpty(),
+  body('window').optional().isInt({ min: 0, max: 10 }).toInt(),
+  body('lookAhead').optional().isInt({ min: 0, max: 100 }).toInt(),
+  body('pin').optional().isString().matches(/^\d{4,16}$/).withMessage('PIN must be 4-16 digits')
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -545,21 +558,51 @@ app.post('/api/otp/verify', [
       });
     }
 
-    const { otpUrl, code } = req.body;
-    const { parseOTPAuth } = require('./lib/otp-parser');
+    const { otpUrl, code, nextCode, window, lookAhead, pin } = req.body;
+    const { parseOTPAuth, validateOTPData } = require('./lib/otp-parser');
     
     // Parse the OTP URL
     const parsedData = parseOTPAuth(otpUrl);
-    if (!parsedData) {
+    if (!parsedData.valid) {
+      return res.status(400).json({
+        success: false,
+        error: parsedData.error,
+        code: parsedData.code
+      });
+    }
+
+    const validation = validateOTPData(parsedData);
+    if (!validation.valid) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid OTP URL',
-        code: 'INVALID_OTP_URL'
+        error: 'Invalid OTP data',
+        details: validation.errors,
+        code: 'INVALID_OTP_DATA'
       });
     }
 
-    // Verify the code
-    const verification = OTPGenerator.verifyCode(parsedData, code);
+    if (parsedData.type === 'ocra') {
+      return res.status(400).json({
+        success: false,
+        error: 'OCRA responses can only be checked against their challenge',
+        code: 'OCRA_CHALLENGE_REQUIRED'
+      });
+    }
+
+    // mOTP and Yandex.Key URLs never carry the PIN
+    if (parsedData.type === 'motp' || parsedData.type === 'yandex') {
+      if (!pin) {
+        return res.status(400).json({
+          success: false,
+          error: 'A PIN is required to verify mOTP and Yandex.Key codes',
+          code: 'PIN_REQUIRED'
+        });
+      }
+      parsedData.pin = pin;
+    }
+
+    // Verify the code; accepted codes cannot be replayed, nextCode resyncs HOTP counters
+    const verification = await OTPVerifier.verifyStateless(parsedData, code, { nextCode, window, lookAhead });
     
     res.json({
       success: true,
@@ -666,6 +709,8 @@ app.get('/api/docs', (req, res) => {
         counter: 0,
         hash: 'uuid-v4',
         originalUrl: 'otpauth://...',
+        extraParameters: {},
+        warnings: [],
         valid: true,
         validation: {
           valid: true,
@@ -683,7 +728,16 @@ app.get('/api/docs', (req, res) => {
       'NO_FILE': 'No image file provided in upload',
       'INVALID_IMAGE': 'Image could not be processed',
       'NO_QR_FOUND': 'No QR code detected in image',
-      'INVALID_QR_DATA': 'QR code does not contain valid OTP data',
+      'INVALID_URL': 'QR code or otpUrl is not a well-formed URL',
+      'UNSUPPORTED_SCHEME': 'URL is not otpauth://, otpauth-migration:// or motp://',
+      'UNSUPPORTED_TYPE': 'OTP type is missing or not supported',
+      'MISSING_LABEL': 'otpauth:// URL has no account name',
+      'MISSING_SECRET': 'otpauth:// URL has no secret',
+      'INVALID_SECRET': 'Secret is not valid Base32 (or hex where allowed)',
+      'UNSUPPORTED_ALGORITHM': 'Algorithm parameter is not supported',
+      'INVALID_PARAMETER': 'A digits, period, counter, pin_length or ocrasuite parameter is out of range',
+      'DUPLICATE_PARAMETER': 'A parameter appears more than once',
+      'INVALID_MIGRATION': 'otpauth-migration:// payload could not be decoded',
       'VALIDATION_ERROR': 'Request validation failed',
       'RATE_LIMIT_EXCEEDED': 'Too many requests',
       'PROCESSING_ERROR': 'Error processing QR code',
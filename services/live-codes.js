@@ -0,0 +1,123 @@
+const OTPGenerator = require('./otp-generator');
+
+// Types whose codes are generated on a timer; HOTP codes only change when used
+const COUNTER_TYPES = ['hotp', 'hhex'];
+
+/**
+ * Live Codes Service
+ * Current and next codes for all of a user's entries at once, for the bulk
+ * codes endpoint and the live code stream (routes/otp.js)
+ */
+class LiveCodes {
+  /**
+   * Decrypt what the code generator needs from saved entries
+   *
+   * Client-encrypted entries are left out (the browser computes their codes),
+   * as are OCRA entries, which have no code without a challenge. An entry that
+   * cannot be decrypted (e.g. its key was retired) only marks itself with an
+   * error, so it does not take the other entries down with it.
+   *
+   * @param {Array} entries - OTPEntry documents
+   * @returns {Array} - { id, type, otpData }, { id, type, pinRequired } or { id, type, error } per entry
+   */
+  static prepare(entries) {
+    return entries
+      .filter(entry => !entry.clientEncrypted && entry.otpConfig.type !== 'ocra')
+      .map((entry) => {
+        let otpData;
+        try {
+          otpData = entry.getOTPData();
+        } catch (error) {
+          console.error(`Live codes: cannot decrypt entry ${entry._id}:`, error.message);
+          return { id: entry._id.toString(), type: entry.otpConfig.type, error: 'DECRYPTION_ERROR' };
+        }
+        const pinRequired = ['motp', 'yandex'].includes(otpData.type) && !otpData.pin;
+        return pinRequired
+          ? { id: entry._id.toString(), type: otpData.type, pinRequired: true }
+          : { id: entry._id.toString(), type: otpData.type, otpData };
+      });
+  }
+
+  /**
+   * Current and next code of one prepared entry
+   * @param {Object} prepared - Result of prepare()
+   * @param {number} time - Unix timestamp in milliseconds
+   * @returns {Object} - Codes; time-based entries say when the current code expires.
+   *   Entries without codes have code null and pinRequired or an error code.
+   */
+  static snapshot(prepared, time) {
+    const { id, type, error } = prepared;
+    if (error) {
+      return { id, type, code: null, error };
+    }
+    if (!prepared.otpData) {
+      return { id, type, code: null, pinRequired: true };
+    }
+
+    try {
+      return this.generate(prepared, time);
+    } catch (generationError) {
+      // e.g. a secret of the wrong length for its type
+      console.error(`Live codes: cannot generate codes of entry ${id}:`, generationError.message);
+      return { id, type, code: null, error: 'GENERATION_ERROR' };
+    }
+  }
+
+  /**
+   * Generate the codes of a prepared entry that has its OTP data
+   * @param {Object} prepared - Result of prepare()
+   * @param {number} time - Unix timestamp in milliseconds
+   * @returns {Object} - Snapshot
+   */
+  static generate({ id, type, otpData }, time) {
+    if (COUNTER_TYPES.includes(type)) {
+      const next = OTPGenerator.offsetCounter(otpData.counter || 0, 1);
+      return {
+        id,
+        type,
+        code: OTPGenerator.generateHOTP(otpData).code,
+        nextCode: next === null ? null : OTPGenerator.generateHOTP({ ...otpData, counter: next }).code,
+        counter: otpData.counter || 0
+      };
+    }
+
+    const seconds = Math.floor(time / 1000);
+    const current = OTPGenerator.generateCodeAt(otpData, seconds);
+    const next = OTPGenerator.generateCodeAt(otpData, seconds + current.period);
+    return {
+      id,
+      type,
+      code: current.code,
+      nextCode: next.code,
+      period: current.period,
+      timeStep: current.counter,
+      timeRemaining: current.timeRemaining,
+      validUntil: current.nextRefresh
+    };
+  }
+
+  /**
+   * Snapshots of all prepared entries
+   * @param {Array} prepared - Result of prepare()
+   * @param {number} time - Unix timestamp in milliseconds
+   * @returns {Array} - Snapshots
+   */
+  static snapshotAll(prepared, time = Date.now()) {
+    return prepared.map(entry => this.snapshot(entry, time));
+  }
+
+  /**
+   * Milliseconds until the first time-based code changes
+   * @param {Array} snapshots - Result of snapshotAll()
+   * @param {number} time - Unix timestamp in milliseconds
+   * @returns {number|null} - Delay, or null when no code changes on its own
+   */
+  static msUntilNextChange(snapshots, time = Date.now()) {
+    const changes = snapshots
+      .filter(snapshot => snapshot.validUntil)
+      .map(snapshot => snapshot.validUntil.getTime() - time);
+    return changes.length > 0 ? Math.max(0, Math.min(...changes)) : null;
+  }
+}
+
+module.exports = LiveCodes;
@@ -1,4 +1,20 @@
 const crypto = require('crypto');
+const { hmacStreebog } = require('../lib/streebog');
+const { parseOcraSuite, buildOcraMessage } = require('../lib/ocra');
+
+// Counters accepted ahead of the stored HOTP counter during normal verification
+const DEFAULT_HOTP_LOOK_AHEAD = 10;
+// Counters searched when resynchronizing with two consecutive codes
+const DEFAULT_HOTP_RESYNC_WINDOW = 100;
+// Counters and time steps are 8-byte unsigned integers (RFC 4226 section 5.1)
+const MAX_COUNTER = 0xffffffffffffffffn;
+// mOTP: 6 hex characters every 10 seconds
+const MOTP_PERIOD = 10;
+const MOTP_DIGITS = 6;
+// Yandex.Key: 8 letters every 30 seconds
+const YANDEX_PERIOD = 30;
+const YANDEX_DIGITS = 8;
+const YANDEX_SECRET_BYTES = 16;
 
 /**
  * OTP Code Generator Service
@@ -31,6 +47,15 @@ class OTPGenerator {
       
       case 'battle':
         return this.generateBattleCode(otpData, currentTime);
+
+      case 'motp':
+        return this.generateMOTP(otpData, currentTime);
+
+      case 'yandex':
+        return this.generateYandexCode(otpData, currentTime);
+
+      case 'ocra':
+        return this.describeOCRA(otpData);
       
       default:
         throw new Error(`Unsupported OTP type: ${otpData.type}`);
@@ -45,9 +70,10 @@ class OTPGenerator {
    */
   static generateTOTP(otpData, currentTime) {
     const period = otpData.period || 30;
-    const counter = Math.floor(currentTime / period);
-    const timeRemaining = period - (currentTime % period);
-    
+    const t0 = otpData.t0 || 0;
+    const counter = this.timeStep(currentTime, period, t0);
+    const timeRemaining = period - ((currentTime - t0) % period);
+
     const code = this.generateOTPCode(
       otpData.secret,
       counter,
@@ -62,7 +88,7 @@ class OTPGenerator {
       timeRemaining: timeRemaining,
       period: period,
       counter: counter,
-      nextRefresh: new Date((Math.floor(currentTime / period) + 1) * period * 1000),
+      nextRefresh: new Date((t0 + (counter + 1) * period) * 1000),
       valid: timeRemaining > 0
     };
   }
@@ -87,7 +113,7 @@ class OTPGenerator {
       code: code,
       type: 'HOTP',
       counter: counter,
-      nextCounter: counter + 1,
+      nextCounter: this.offsetCounter(counter, 1),
       note: 'Counter-based codes must be incremented after each use'
     };
   }
@@ -144,12 +170,153 @@ class OTPGenerator {
     };
   }
 
+  /**
+   * Generate Mobile-OTP (mOTP) code
+   *
+   * The code is the first 6 hex characters of MD5(epoch / 10 || secret || PIN),
+   * all as text; the secret is the hex string from the token.
+   *
+   * @param {Object} otpData - OTP configuration with pin
+   * @param {number} currentTime - Current Unix timestamp
+   * @returns {Object} - Generated mOTP code
+   */
+  static generateMOTP(otpData, currentTime) {
+    const period = MOTP_PERIOD;
+    const counter = Math.floor(currentTime / period);
+    const timeRemaining = period - (currentTime % period);
+    const pin = this.requirePin(otpData, 'mOTP');
+
+    const code = crypto
+      .createHash('md5')
+      .update(`${counter}${otpData.secret.toLowerCase()}${pin}`, 'utf8')
+      .digest('hex')
+      .slice(0, MOTP_DIGITS);
+
+    return {
+      code: code,
+      type: 'mOTP',
+      timeRemaining: timeRemaining,
+      period: period,
+      counter: counter,
+      nextRefresh: new Date((counter + 1) * period * 1000)
+    };
+  }
+
+  /**
+   * Generate Yandex.Key code
+   *
+   * The HMAC-SHA256 key is SHA-256(PIN || secret), minus a leading zero byte;
+   * 63 bits of the truncated MAC are written as 8 letters a-z.
+   *
+   * @param {Object} otpData - OTP configuration with pin
+   * @param {number} currentTime - Current Unix timestamp
+   * @returns {Object} - Generated Yandex.Key code
+   */
+  static generateYandexCode(otpData, currentTime) {
+    const period = YANDEX_PERIOD;
+    const counter = Math.floor(currentTime / period);
+    const timeRemaining = period - (currentTime % period);
+    const pin = this.requirePin(otpData, 'Yandex.Key');
+
+    const secret = this.base32ToBuffer(otpData.secret);
+    // 26-byte secrets from Yandex QR codes carry padding and a checksum after the key
+    if (secret.length !== YANDEX_SECRET_BYTES && secret.length !== 26) {
+      throw new Error(`Yandex.Key secrets must be 16 or 26 bytes, got ${secret.length}`);
+    }
+
+    let key = crypto
+      .createHash('sha256')
+      .update(Buffer.concat([Buffer.from(pin, 'utf8'), secret.subarray(0, YANDEX_SECRET_BYTES)]))
+      .digest();
+    if (key[0] === 0) {
+      key = key.subarray(1);
+    }
+
+    const hash = this.hmac('SHA256', key, this.counterToBuffer(counter));
+    const offset = hash[hash.length - 1] & 0x0f;
+    let value = (hash.readBigUInt64BE(offset) & 0x7fffffffffffffffn) % (26n ** BigInt(YANDEX_DIGITS));
+
+    let code = '';
+    for (let i = 0; i < YANDEX_DIGITS; i++) {
+      code = String.fromCharCode(97 + Number(value % 26n)) + code;
+      value /= 26n;
+    }
+
+    return {
+      code: code,
+      type: 'Yandex.Key',
+      timeRemaining: timeRemaining,
+      period: period,
+      counter: counter,
+      nextRefresh: new Date((counter + 1) * period * 1000)
+    };
+  }
+
+  /**
+   * PIN of a token type that mixes it into every code
+   * @param {Object} otpData - OTP configuration
+   * @param {string} name - Token type for the error message
+   * @returns {string} - PIN
+   */
+  static requirePin(otpData, name) {
+    if (!otpData.pin) {
+      throw new Error(`A PIN is required to generate ${name} codes`);
+    }
+    return String(otpData.pin);
+  }
+
+  /**
+   * Compute an OCRA (RFC 6287) response
+   * @param {Object} otpData - OTP configuration with ocraSuite
+   * @param {Object} input - { challenge, counter, password | passwordHash, session, timestamp }
+   * @returns {Object} - Response code with the inputs that were used
+   */
+  static generateOCRA(otpData, input = {}) {
+    const suite = parseOcraSuite(otpData.ocraSuite);
+    const key = this.base32ToBuffer(otpData.secret);
+    const hash = this.hmac(suite.algorithm, key, buildOcraMessage(suite, input));
+
+    return {
+      // A length of 0 means the full, untruncated HMAC
+      code: suite.digits === 0 ? hash.toString('hex') : this.truncate(hash, suite.digits),
+      type: 'OCRA',
+      suite: suite.suite,
+      challenge: input.challenge,
+      counter: suite.counter ? input.counter : undefined,
+      nextCounter: suite.counter ? this.offsetCounter(input.counter, 1) : undefined,
+      timeStep: suite.timeStep || undefined
+    };
+  }
+
+  /**
+   * Describe the inputs an OCRA entry needs; there is no code without a challenge
+   * @param {Object} otpData - OTP configuration with ocraSuite
+   * @returns {Object} - Suite requirements
+   */
+  static describeOCRA(otpData) {
+    const suite = parseOcraSuite(otpData.ocraSuite);
+    // Fails early on secrets that cannot be decoded
+    this.base32ToBuffer(otpData.secret);
+
+    return {
+      code: null,
+      type: 'OCRA',
+      suite: suite.suite,
+      challengeRequired: true,
+      challenge: suite.question,
+      counterRequired: suite.counter,
+      passwordRequired: Boolean(suite.password),
+      sessionLength: suite.sessionLength,
+      timeStep: suite.timeStep
+    };
+  }
+
   /**
    * Generate OTP code using HMAC
    * @param {string} secret - Base32 or hex encoded secret
-   * @param {number} counter - Time counter or HOTP counter
+   * @param {number|bigint|string} counter - Time step or HOTP counter, up to 2^64 - 1
    * @param {number} digits - Number of digits in code
-   * @param {string} algorithm - Hash algorithm (SHA1, SHA256, SHA512)
+   * @param {string} algorithm - Hash algorithm (SHA1, SHA256, SHA512, GOST3411_2012_256/512)
    * @param {boolean} isHex - Whether secret is hex encoded
    * @returns {string} - Generated OTP code
    */
@@ -157,25 +324,137 @@ class OTPGenerator {
     // Decode secret
     const key = isHex ? this.hexToBuffer(secret) : this.base32ToBuffer(secret);
     
-    // Convert counter to 8-byte buffer (big-endian)
-    const counterBuffer = Buffer.alloc(8);
-    counterBuffer.writeUInt32BE(0, 0);
-    counterBuffer.writeUInt32BE(counter, 4);
-    
     // Generate HMAC
-    const hmac = crypto.createHmac(algorithm.toLowerCase(), key);
-    hmac.update(counterBuffer);
-    const hash = hmac.digest();
-    
-    // Dynamic truncation
+    const hash = this.hmac(algorithm, key, this.counterToBuffer(counter));
+
+    return this.truncate(hash, digits);
+  }
+
+  /**
+   * Dynamic truncation of an HMAC to a decimal code (RFC 4226 section 5.3)
+   * @param {Buffer} hash - HMAC value
+   * @param {number} digits - Number of digits in code
+   * @returns {string} - Zero padded code
+   */
+  static truncate(hash, digits) {
     const offset = hash[hash.length - 1] & 0x0f;
     const truncatedHash = hash.readUInt32BE(offset) & 0x7fffffff;
-    
-    // Generate code
+
     const code = truncatedHash % Math.pow(10, digits);
     return code.toString().padStart(digits, '0');
   }
 
+  /**
+   * Compute an HMAC with one of the supported OTP algorithms
+   * @param {string} algorithm - SHA1, SHA256, SHA512, GOST3411_2012_256 or GOST3411_2012_512
+   * @param {Buffer} key - Secret key
+   * @param {Buffer} data - Message (the counter)
+   * @returns {Buffer} - MAC
+   */
+  static hmac(algorithm, key, data) {
+    // OpenSSL has no Streebog, so the GOST algorithms use the pure-JS implementation
+    switch (algorithm) {
+      case 'GOST3411_2012_256':
+        return hmacStreebog(key, data, 256);
+      case 'GOST3411_2012_512':
+        return hmacStreebog(key, data, 512);
+      default:
+        return crypto.createHmac(algorithm.toLowerCase(), key).update(data).digest();
+    }
+  }
+
+  /**
+   * Encode a counter as the 8-byte big-endian message
+   * @param {number|bigint|string} counter - Non-negative integer up to 2^64 - 1;
+   *   values above Number.MAX_SAFE_INTEGER must be a bigint or decimal string
+   * @returns {Buffer} - 8-byte buffer
+   */
+  static counterToBuffer(counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(this.toCounterBigInt(counter));
+    return buffer;
+  }
+
+  /**
+   * Validate a counter and convert it to a bigint
+   * @param {number|bigint|string} counter - Counter value
+   * @returns {bigint} - Counter as a bigint
+   */
+  static toCounterBigInt(counter) {
+    const valid = typeof counter === 'bigint'
+      || (typeof counter === 'number' && Number.isSafeInteger(counter))
+      || (typeof counter === 'string' && /^\d+$/.test(counter));
+    const value = valid ? BigInt(counter) : -1n;
+
+    if (value < 0n || value > MAX_COUNTER) {
+      throw new Error(`Invalid counter: ${counter}, expected an integer from 0 to 2^64 - 1`);
+    }
+    return value;
+  }
+
+  /**
+   * Check whether a value is a counter the generator accepts
+   * @param {*} counter - Candidate counter
+   * @returns {boolean} - True for an integer from 0 to 2^64 - 1
+   */
+  static isValidCounter(counter) {
+    try {
+      this.toCounterBigInt(counter);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Bring a counter into the form used for storage and responses
+   * @param {number|bigint|string} counter - Counter value
+   * @returns {number|string} - A number while it is a safe integer, otherwise a decimal string
+   */
+  static normalizeCounter(counter) {
+    return this.offsetCounter(counter, 0);
+  }
+
+  /**
+   * Compare two counters without losing precision
+   * @param {number|bigint|string} a - Counter value
+   * @param {number|bigint|string} b - Counter value
+   * @returns {number} - Negative, zero or positive as a is below, equal to or above b
+   */
+  static compareCounters(a, b) {
+    const difference = this.toCounterBigInt(a) - this.toCounterBigInt(b);
+    return difference < 0n ? -1 : (difference > 0n ? 1 : 0);
+  }
+
+  /**
+   * Add an offset to a counter without losing precision
+   * @param {number|bigint|string} counter - Counter value
+   * @param {number} offset - Non-negative offset
+   * @returns {number|string|null} - A number while it is a safe integer, otherwise a
+   *   decimal string; null once the counter would exceed 64 bits
+   */
+  static offsetCounter(counter, offset) {
+    const value = this.toCounterBigInt(counter) + BigInt(offset);
+    if (value > MAX_COUNTER) {
+      return null;
+    }
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+  }
+
+  /**
+   * Time step for a moment (RFC 6238: T = floor((time - T0) / X))
+   * @param {number} time - Unix timestamp
+   * @param {number} period - Step size X in seconds
+   * @param {number} t0 - Unix time to start counting steps from
+   * @returns {number} - Time step
+   */
+  static timeStep(time, period, t0 = 0) {
+    if (time < t0) {
+      throw new Error(`Time ${time} is before the T0 epoch ${t0}`);
+    }
+    return Math.floor((time - t0) / period);
+  }
+
   /**
    * Generate Steam OTP code (special case)
    * @param {string} secret - Base32 encoded secret
@@ -186,14 +465,9 @@ class OTPGenerator {
     const steamChars = '23456789BCDFGHJKMNPQRTVWXY';
     const key = this.base32ToBuffer(secret);
     
-    // Convert counter to 8-byte buffer
-    const counterBuffer = Buffer.alloc(8);
-    counterBuffer.writeUInt32BE(0, 0);
-    counterBuffer.writeUInt32BE(counter, 4);
-    
     // Generate HMAC-SHA1
     const hmac = crypto.createHmac('sha1', key);
-    hmac.update(counterBuffer);
+    hmac.update(this.counterToBuffer(counter));
     const hash = hmac.digest();
     
     // Dynamic truncation
@@ -243,6 +517,28 @@ class OTPGenerator {
     return Buffer.from(bytes);
   }
 
+  /**
+   * Convert Buffer to Base32 string (RFC 4648, no padding)
+   * @param {Buffer} buffer - Raw bytes
+   * @returns {string} - Base32 encoded string
+   */
+  static bufferToBase32(buffer) {
+    const base32Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = '';
+    let base32 = '';
+
+    for (let i = 0; i < buffer.length; i++) {
+      bits += buffer[i].toString(2).padStart(8, '0');
+    }
+
+    for (let i = 0; i < bits.length; i += 5) {
+      const chunk = bits.substr(i, 5).padEnd(5, '0');
+      base32 += base32Chars[parseInt(chunk, 2)];
+    }
+
+    return base32;
+  }
+
   /**
    * Convert hex string to Buffer
    * @param {string} hex - Hex encoded string
@@ -262,11 +558,17 @@ class OTPGenerator {
    * @returns {Array} - Array of generated codes
    */
   static getMultipleCodes(otpData, count = 3) {
-    if (otpData.type === 'hotp' || otpData.type === 'hhex') {
+    if (otpData.type === 'ocra') {
+      // Responses depend on the challenge, so there is nothing to precompute
+      return [];
+    } else if (otpData.type === 'hotp' || otpData.type === 'hhex') {
       // For HOTP, generate next few counter values
       const codes = [];
       for (let i = 0; i < count; i++) {
-        const hopData = { ...otpData, counter: (otpData.counter || 0) + i };
+        const hopData = { ...otpData, counter: this.offsetCounter(otpData.counter || 0, i) };
+        if (hopData.counter === null) {
+          break;
+        }
         const result = this.generateHOTP(hopData);
         codes.push({
           ...result,
@@ -276,15 +578,15 @@ class OTPGenerator {
       }
       return codes;
     } else {
-      // For TOTP, generate current and next periods
+      // For time-based types, generate current and next periods
       const currentTime = Math.floor(Date.now() / 1000);
-      const period = otpData.period || 30;
+      const period = this.generateCodeAt(otpData, currentTime).period;
       const codes = [];
       
       for (let i = 0; i < count; i++) {
         const timeOffset = i * period;
         const adjustedTime = currentTime + timeOffset;
-        const result = this.generateTOTP(otpData, adjustedTime);
+        const result = this.generateCodeAt(otpData, adjustedTime);
         codes.push({
           ...result,
           sequence: i,
@@ -296,46 +598,217 @@ class OTPGenerator {
     }
   }
 
+  /**
+   * Codes of a time-based entry around any moment, past or future
+   * @param {Object} otpData - OTP configuration
+   * @param {number} time - Unix timestamp the range is centred on
+   * @param {number} before - Periods before `time`
+   * @param {number} after - Periods after `time`
+   * @returns {Array} - Codes in time order; periods before T0 are left out
+   */
+  static getCodesAround(otpData, time, before = 0, after = 0) {
+    this.requireTimeBased(otpData);
+    const { period } = this.generateCodeAt(otpData, time);
+    const codes = [];
+
+    for (let offset = -before; offset <= after; offset++) {
+      const stepTime = time + offset * period;
+      if (stepTime < (otpData.t0 || 0)) {
+        continue;
+      }
+      const result = this.generateCodeAt(otpData, stepTime);
+      codes.push({
+        code: result.code,
+        offset: offset,
+        timeStep: result.counter,
+        timeWindow: offset === 0 ? 'current' : `${offset > 0 ? '+' : ''}${offset * period}s`,
+        validFrom: new Date(result.nextRefresh.getTime() - period * 1000),
+        validUntil: result.nextRefresh
+      });
+    }
+    return codes;
+  }
+
+  /**
+   * Find the period a code belongs to, and the clock skew that implies
+   *
+   * Periods are searched outwards from `time`, so the nearest match comes
+   * first. A device showing the code had its clock somewhere in the matching
+   * period, which gives `clockSkewRange` in seconds (device minus `time`);
+   * `clockSkew` is the whole-period estimate.
+   *
+   * @param {Object} otpData - OTP configuration
+   * @param {string} code - Code shown by the device
+   * @param {number} time - Unix timestamp to measure the skew from
+   * @param {number} window - Periods searched either side of `time`
+   * @returns {Object} - { found, offset, clockSkew, clockSkewRange, timeStep, validFrom, validUntil, otherOffsets }
+   */
+  static findCodeOffset(otpData, code, time, window) {
+    const matches = this.getCodesAround(otpData, time, window, window)
+      .filter(candidate => candidate.code === this.normalizeCode(otpData, code))
+      .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset) || a.offset - b.offset);
+
+    if (matches.length === 0) {
+      return { found: false, window: window };
+    }
+
+    const [match, ...others] = matches;
+    const period = (match.validUntil - match.validFrom) / 1000;
+    return {
+      found: true,
+      offset: match.offset,
+      clockSkew: match.offset * period,
+      clockSkewRange: {
+        min: match.validFrom.getTime() / 1000 - time,
+        max: match.validUntil.getTime() / 1000 - 1 - time
+      },
+      timeStep: match.timeStep,
+      validFrom: match.validFrom,
+      validUntil: match.validUntil,
+      // More than one match means the code alone cannot tell the periods apart
+      otherOffsets: others.map(other => other.offset)
+    };
+  }
+
+  /**
+   * Throw for types whose codes do not depend on the time
+   * @param {Object} otpData - OTP configuration
+   */
+  static requireTimeBased(otpData) {
+    if (['hotp', 'hhex', 'ocra'].includes(otpData.type)) {
+      throw new Error(`${otpData.type.toUpperCase()} codes do not depend on the time`);
+    }
+  }
+
+  /**
+   * Codes as generated: mOTP (hex) and Yandex.Key (letters) are case-insensitive
+   * @param {Object} otpData - OTP configuration
+   * @param {string} code - Code as typed
+   * @returns {string} - Code to compare
+   */
+  static normalizeCode(otpData, code) {
+    return otpData.type === 'motp' || otpData.type === 'yandex'
+      ? String(code).toLowerCase()
+      : code;
+  }
+
+  /**
+   * Generate the code of a time-based entry for a given moment
+   * @param {Object} otpData - OTP configuration
+   * @param {number} time - Unix timestamp
+   * @returns {Object} - Generated code with timing
+   */
+  static generateCodeAt(otpData, time) {
+    switch (otpData.type) {
+      case 'steam':
+        return this.generateSteamCode(otpData, time);
+      case 'battle':
+        return this.generateBattleCode(otpData, time);
+      case 'motp':
+        return this.generateMOTP(otpData, time);
+      case 'yandex':
+        return this.generateYandexCode(otpData, time);
+      default:
+        return this.generateTOTP(otpData, time);
+    }
+  }
+
   /**
    * Verify if a provided code matches the current expected code
+   *
+   * TOTP codes are accepted within +/- `window` periods; a code from a time
+   * step at or before `lastUsedStep` is rejected as a replay. HOTP codes are
+   * accepted from the stored counter up to `lookAhead` counters ahead, so a
+   * few unused button presses do not lock the token out.
+   *
    * @param {Object} otpData - OTP configuration
    * @param {string} providedCode - Code to verify
-   * @param {number} windowSize - Time window tolerance (for TOTP)
-   * @returns {Object} - Verification result
+   * @param {Object|number} options - { window, lookAhead, lastUsedStep }, or the TOTP window size
+   * @returns {Object} - Verification result (timeStep / nextCounter identify the accepted code)
    */
-  static verifyCode(otpData, providedCode, windowSize = 1) {
+  static verifyCode(otpData, providedCode, options = {}) {
+    const {
+      window = 1,
+      lookAhead = DEFAULT_HOTP_LOOK_AHEAD,
+      lastUsedStep = null
+    } = typeof options === 'number' ? { window: options } : options;
     const currentTime = Math.floor(Date.now() / 1000);
+
+    if (otpData.type === 'ocra') {
+      throw new Error('OCRA responses can only be verified together with their challenge');
+    }
+
+    providedCode = this.normalizeCode(otpData, providedCode);
     
     if (otpData.type === 'hotp' || otpData.type === 'hhex') {
-      // For HOTP, check current counter value
+      const counter = otpData.counter || 0;
       const current = this.generateHOTP(otpData);
+
+      for (let drift = 0; drift <= lookAhead; drift++) {
+        const testCounter = this.offsetCounter(counter, drift);
+        if (testCounter === null) {
+          break;
+        }
+        const testCode = this.generateHOTP({ ...otpData, counter: testCounter });
+
+        if (testCode.code === providedCode) {
+          return {
+            valid: true,
+            counter: testCounter,
+            nextCounter: testCode.nextCounter,
+            counterDrift: drift,
+            providedCode: providedCode,
+            expectedCode: current.code
+          };
+        }
+      }
+
       return {
-        valid: current.code === providedCode,
-        counter: otpData.counter,
+        valid: false,
+        counter: counter,
         providedCode: providedCode,
         expectedCode: current.code
       };
     } else {
       // For TOTP, check current time window and adjacent windows
-      const period = otpData.period || 30;
+      const { period, counter: currentStep } = this.generateCodeAt(otpData, currentTime);
       
-      for (let i = -windowSize; i <= windowSize; i++) {
+      for (let i = -window; i <= window; i++) {
+        // No steps exist before T0
+        if (currentStep + i < 0) {
+          continue;
+        }
         const testTime = currentTime + (i * period);
-        const testCode = this.generateTOTP(otpData, testTime);
+        const testCode = this.generateCodeAt(otpData, testTime);
         
         if (testCode.code === providedCode) {
+          const timeStep = currentStep + i;
+          const timeWindow = i === 0 ? 'current' : (i < 0 ? 'previous' : 'next');
+
+          // Each time step's code can only be used once
+          if (lastUsedStep !== null && timeStep <= lastUsedStep) {
+            return {
+              valid: false,
+              replay: true,
+              timeStep: timeStep,
+              providedCode: providedCode,
+              timeWindow: timeWindow
+            };
+          }
+
           return {
             valid: true,
             timeOffset: i * period,
+            timeStep: timeStep,
             providedCode: providedCode,
             expectedCode: testCode.code,
-            timeWindow: i === 0 ? 'current' : (i < 0 ? 'previous' : 'next')
+            timeWindow: timeWindow
           };
         }
       }
       
       // No match found
-      const current = this.generateTOTP(otpData, currentTime);
+      const current = this.generateCodeAt(otpData, currentTime);
       return {
         valid: false,
         providedCode: providedCode,
@@ -344,6 +817,49 @@ class OTPGenerator {
       };
     }
   }
+
+  /**
+   * Resynchronize an HOTP counter from two consecutive codes
+   *
+   * Searches up to `resyncWindow` counters past the stored one for a pair of
+   * consecutive codes, which is much harder to hit by chance than a single code.
+   *
+   * @param {Object} otpData - OTP configuration
+   * @param {string} firstCode - First code shown by the token
+   * @param {string} secondCode - The code shown after pressing again
+   * @param {number} resyncWindow - How many counters to search
+   * @returns {Object} - Result; nextCounter is the counter to store
+   */
+  static resyncCounter(otpData, firstCode, secondCode, resyncWindow = DEFAULT_HOTP_RESYNC_WINDOW) {
+    const counter = otpData.counter || 0;
+    let previousCode = this.generateHOTP({ ...otpData, counter }).code;
+
+    for (let drift = 0; drift <= resyncWindow; drift++) {
+      const secondCounter = this.offsetCounter(counter, drift + 1);
+      if (secondCounter === null) {
+        break;
+      }
+      const next = this.generateHOTP({ ...otpData, counter: secondCounter });
+      const nextCode = next.code;
+
+      if (previousCode === firstCode && nextCode === secondCode) {
+        return {
+          valid: true,
+          resynchronized: true,
+          counter: secondCounter,
+          nextCounter: next.nextCounter,
+          counterDrift: drift
+        };
+      }
+      previousCode = nextCode;
+    }
+
+    return {
+      valid: false,
+      resynchronized: false,
+      counter: counter
+    };
+  }
 }
 
 module.exports = OTPGenerator;
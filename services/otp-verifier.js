@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const OTPGenerator = require('./otp-generator');
+const OTPEntry = require('../models/OTPEntry');
+const VerificationState = require('../models/VerificationState');
+const Enrollment = require('../models/Enrollment');
+
+// How long replay state for stateless HOTP verification is kept
+const HOTP_STATE_TTL_DAYS = 90;
+
+/**
+ * OTP Verification Service
+ * Verifies codes with replay protection: the last accepted TOTP time step or
+ * HOTP counter is remembered per secret and only ever moves forward. Updates
+ * are compare-and-set, so two concurrent requests cannot both accept a code.
+ */
+class OTPVerifier {
+  /**
+   * Verify a code against a saved entry
+   * @param {Object} entry - OTPEntry document
+   * @param {string} code - Code to verify
+   * @param {Object} options - { nextCode, window, lookAhead, resyncWindow }
+   * @returns {Promise<Object>} - Verification result
+   */
+  static async verifyEntry(entry, code, options = {}) {
+    const otpData = entry.getOTPData();
+    const result = this.check(otpData, code, { ...options, lastUsedStep: entry.lastUsedStep });
+    if (!result.valid) {
+      return result;
+    }
+
+    let update;
+    if (this.isCounterBased(otpData)) {
+      update = await OTPEntry.updateOne(
+        { _id: entry._id, 'otpConfig.counter': otpData.counter || 0 },
+        // Sync clients see the counter, so moving it is a new version
+        { $set: { 'otpConfig.counter': result.nextCounter, changedAt: new Date() }, $inc: { version: 1 } }
+      );
+      entry.otpConfig.counter = result.nextCounter;
+    } else {
+      update = await OTPEntry.updateOne(
+        { _id: entry._id, lastUsedStep: entry.lastUsedStep },
+        { $set: { lastUsedStep: result.timeStep } }
+      );
+      entry.lastUsedStep = result.timeStep;
+    }
+
+    return update.modifiedCount === 1 ? result : this.replayed(result);
+  }
+
+  /**
+   * Verify a code for a client application's enrollment
+   *
+   * The first accepted code confirms a pending enrollment.
+   *
+   * @param {Object} enrollment - Enrollment document
+   * @param {string} code - Code to verify
+   * @param {Object} options - { window }
+   * @returns {Promise<Object>} - Verification result
+   */
+  static async verifyEnrollment(enrollment, code, options = {}) {
+    const result = this.check(enrollment.getOTPData(), code, {
+      window: options.window,
+      lastUsedStep: enrollment.lastUsedStep
+    });
+    if (!result.valid) {
+      return result;
+    }
+
+    const now = new Date();
+    const changes = { lastUsedStep: result.timeStep, lastVerifiedAt: now };
+    if (enrollment.status === 'pending') {
+      Object.assign(changes, { status: 'active', activatedAt: now });
+    }
+
+    // A disable or reset since the enrollment was read also makes this lose
+    const update = await Enrollment.updateOne(
+      {
+        _id: enrollment._id,
+        status: enrollment.status,
+        secret: enrollment.secret,
+        lastUsedStep: enrollment.lastUsedStep
+      },
+      { $set: changes }
+    );
+    if (update.modifiedCount !== 1) {
+      return this.replayed(result);
+    }
+
+    Object.assign(enrollment, changes);
+    return result;
+  }
+
+  /**
+   * Verify a code for OTP data that is not saved as an entry
+   * @param {Object} otpData - Parsed OTP data
+   * @param {string} code - Code to verify
+   * @param {Object} options - { nextCode, window, lookAhead, resyncWindow }
+   * @returns {Promise<Object>} - Verification result
+   */
+  static async verifyStateless(otpData, code, options = {}) {
+    const fingerprint = this.fingerprint(otpData);
+    const state = await VerificationState.findOne({ fingerprint });
+    const counterBased = this.isCounterBased(otpData);
+
+    // A counter advanced by earlier verifications wins over the one in the URL
+    const effective = counterBased && state && state.nextCounter !== null
+      && OTPGenerator.compareCounters(state.nextCounter, otpData.counter || 0) > 0
+      ? { ...otpData, counter: state.nextCounter }
+      : otpData;
+
+    const result = this.check(effective, code, {
+      ...options,
+      lastUsedStep: state ? state.lastUsedStep : null
+    });
+    if (!result.valid) {
+      return result;
+    }
+
+    const field = counterBased ? 'nextCounter' : 'lastUsedStep';
+    const value = counterBased ? result.nextCounter : result.timeStep;
+    const expiresAt = counterBased
+      ? new Date(Date.now() + HOTP_STATE_TTL_DAYS * 24 * 60 * 60 * 1000)
+      : new Date(Date.now() + 10 * 60 * 1000);
+
+    const claimed = await this.claimState(fingerprint, state, field, value, expiresAt);
+    return claimed ? result : this.replayed(result);
+  }
+
+  /**
+   * Run the right verification for the OTP type, without touching stored state
+   * @param {Object} otpData - OTP configuration
+   * @param {string} code - Code to verify
+   * @param {Object} options - { nextCode, window, lookAhead, resyncWindow, lastUsedStep }
+   * @returns {Object} - Verification result
+   */
+  static check(otpData, code, options = {}) {
+    if (this.isCounterBased(otpData) && options.nextCode) {
+      return OTPGenerator.resyncCounter(otpData, code, options.nextCode, options.resyncWindow);
+    }
+
+    return OTPGenerator.verifyCode(otpData, code, {
+      window: options.window,
+      lookAhead: options.lookAhead,
+      lastUsedStep: options.lastUsedStep === undefined ? null : options.lastUsedStep
+    });
+  }
+
+  /**
+   * Advance stored state only if nobody else changed it since it was read
+   * @returns {Promise<boolean>} - Whether this request won
+   */
+  static async claimState(fingerprint, state, field, value, expiresAt) {
+    if (!state) {
+      try {
+        await VerificationState.create({ fingerprint, [field]: value, expiresAt });
+        return true;
+      } catch (error) {
+        if (error.code === 11000) {
+          return false;
+        }
+        throw error;
+      }
+    }
+
+    const update = await VerificationState.updateOne(
+      { _id: state._id, [field]: state[field] },
+      { $set: { [field]: value, expiresAt } }
+    );
+    return update.modifiedCount === 1;
+  }
+
+  /**
+   * Keyed hash identifying a secret without storing it
+   * @param {Object} otpData - OTP configuration
+   * @returns {string} - Hex digest
+   */
+  static fingerprint(otpData) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET || '')
+      .update(`otp-verification:${otpData.type}:${otpData.secret}`)
+      .digest('hex');
+  }
+
+  static isCounterBased(otpData) {
+    return otpData.type === 'hotp' || otpData.type === 'hhex';
+  }
+
+  static replayed(result) {
+    return {
+      valid: false,
+      replay: true,
+      providedCode: result.providedCode
+    };
+  }
+}
+
+module.exports = OTPVerifier;
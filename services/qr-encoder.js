@@ -0,0 +1,172 @@
+const QRCode = require('qrcode');
+
+/**
+ * Output formats and their content types
+ */
+const QRFormat = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  terminal: 'text/plain; charset=utf-8',
+  ascii: 'text/plain; charset=utf-8'
+};
+
+/**
+ * QR Code Encoder Service
+ * Renders text (otpauth:// and otpauth-migration:// URLs) as QR code images
+ * or as text for terminals
+ */
+class QREncoder {
+  /**
+   * Build qrcode library options from request options
+   * @param {Object} options - width, margin and errorCorrectionLevel
+   * @returns {Object} - qrcode library options
+   */
+  static buildOptions(options = {}) {
+    return {
+      errorCorrectionLevel: options.errorCorrectionLevel || 'M',
+      margin: options.margin !== undefined ? options.margin : 4,
+      width: options.width || 300
+    };
+  }
+
+  /**
+   * Render text as a PNG image
+   * @param {string} text - Content to encode
+   * @param {Object} options - Rendering options
+   * @returns {Promise<Buffer>} - PNG image
+   */
+  static async toPNG(text, options = {}) {
+    return QRCode.toBuffer(text, {
+      ...this.buildOptions(options),
+      type: 'png'
+    });
+  }
+
+  /**
+   * Render text as an SVG image
+   * @param {string} text - Content to encode
+   * @param {Object} options - Rendering options
+   * @returns {Promise<string>} - SVG document
+   */
+  static async toSVG(text, options = {}) {
+    return QRCode.toString(text, {
+      ...this.buildOptions(options),
+      type: 'svg'
+    });
+  }
+
+  /**
+   * Render text with Unicode half blocks, two module rows per line
+   *
+   * Light modules are drawn, so the code scans from a terminal with a dark
+   * background.
+   *
+   * @param {string} text - Content to encode
+   * @param {Object} options - margin and errorCorrectionLevel (width is ignored)
+   * @returns {string} - Lines of text
+   */
+  static toTerminal(text, options = {}) {
+    const { isDark, size } = this.buildMatrix(text, options);
+    const lines = [];
+
+    for (let row = 0; row < size; row += 2) {
+      let line = '';
+      for (let col = 0; col < size; col++) {
+        const top = !isDark(row, col);
+        const bottom = row + 1 < size && !isDark(row + 1, col);
+        line += top ? (bottom ? '█' : '▀') : (bottom ? '▄' : ' ');
+      }
+      lines.push(line);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render text as plain ASCII, two characters per module
+   *
+   * Dark modules are '#', for printing or light backgrounds.
+   *
+   * @param {string} text - Content to encode
+   * @param {Object} options - margin and errorCorrectionLevel (width is ignored)
+   * @returns {string} - Lines of text
+   */
+  static toASCII(text, options = {}) {
+    const { isDark, size } = this.buildMatrix(text, options);
+    const lines = [];
+
+    for (let row = 0; row < size; row++) {
+      let line = '';
+      for (let col = 0; col < size; col++) {
+        line += isDark(row, col) ? '##' : '  ';
+      }
+      lines.push(line);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render text in one of the QRFormat formats
+   * @param {string} text - Content to encode
+   * @param {string} format - png, svg, terminal or ascii
+   * @param {Object} options - Rendering options
+   * @returns {Promise<Buffer|string>} - Rendered code
+   */
+  static async render(text, format, options = {}) {
+    switch (format) {
+      case 'svg':
+        return this.toSVG(text, options);
+      case 'terminal':
+        return this.toTerminal(text, options);
+      case 'ascii':
+        return this.toASCII(text, options);
+      default:
+        return this.toPNG(text, options);
+    }
+  }
+
+  /**
+   * Content type of a rendered format
+   * @param {string} format - png, svg, terminal or ascii
+   * @returns {string} - MIME type
+   */
+  static contentType(format) {
+    return QRFormat[format] || QRFormat.png;
+  }
+
+  /**
+   * Module matrix including the quiet zone
+   * @param {string} text - Content to encode
+   * @param {Object} options - margin and errorCorrectionLevel
+   * @returns {Object} - { isDark(row, col), size }
+   */
+  static buildMatrix(text, options = {}) {
+    const { margin, errorCorrectionLevel } = this.buildOptions(options);
+    const { modules } = QRCode.create(text, { errorCorrectionLevel });
+
+    return {
+      size: modules.size + margin * 2,
+      isDark: (row, col) => {
+        const r = row - margin;
+        const c = col - margin;
+        return r >= 0 && c >= 0 && r < modules.size && c < modules.size && Boolean(modules.get(r, c));
+      }
+    };
+  }
+
+  /**
+   * Render text as a PNG data URL
+   * @param {string} text - Content to encode
+   * @param {Object} options - Rendering options
+   * @returns {Promise<string>} - data:image/png;base64,... URL
+   */
+  static async toDataURL(text, options = {}) {
+    return QRCode.toDataURL(text, {
+      ...this.buildOptions(options),
+      type: 'image/png'
+    });
+  }
+}
+
+module.exports = QREncoder;
@@ -201,11 +201,11 @@ class QRServiceOptimized {
       const { parseOTPAuth } = require('../lib/otp-parser');
       const otpData = parseOTPAuth(qrText);
 
-      if (!otpData) {
+      if (!otpData.valid) {
         return {
           success: false,
-          error: 'QR code does not contain valid OTP data',
-          code: 'INVALID_OTP_DATA',
+          error: `QR code does not contain valid OTP data: ${otpData.error}`,
+          code: otpData.code,
           rawData: qrText
         };
       }
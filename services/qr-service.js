@@ -190,11 +190,11 @@ class QRService {
       console.log(`Found QR data: ${qrData.substring(0, 100)}...`);
       const parsedOTP = parseOTPAuth(qrData);
       
-      if (!parsedOTP) {
+      if (!parsedOTP.valid) {
         return {
           success: false,
-          error: 'QR code does not contain valid OTP data',
-          code: 'INVALID_QR_DATA',
+          error: `QR code does not contain valid OTP data: ${parsedOTP.error}`,
+          code: parsedOTP.code,
           qrData: qrData,
           imageInfo: imageInfo,
           detectionMethod: successfulMethod
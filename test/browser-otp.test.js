@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const OTPGenerator = require('../services/otp-generator');
+const BrowserOTP = require('../public/otp-generator');
+const { mulberry32, envInteger } = require('./helpers/random');
+const {
+  CODE_LENGTHS,
+  HOTP_VECTORS,
+  TOTP_VECTORS,
+  VENDOR_VECTORS,
+  expectedCode,
+  expectedVendorCode
+} = require('./fixtures/otp-test-vectors');
+
+// Replay a failing run with BROWSER_OTP_SEED=<seed> npm test
+const RANDOM_CASES = envInteger('BROWSER_OTP_CASES', 2000);
+const RANDOM_SEED = envInteger('BROWSER_OTP_SEED', 0x5eed0723);
+
+// A random entry of a type the browser generator supports
+function randomEntry(random) {
+  const pick = values => values[Math.floor(random() * values.length)];
+  const type = pick(['totp', 'hotp', 'hex', 'hhex', 'steam', 'battle']);
+  const secret = Buffer.from(Array.from({ length: 10 + Math.floor(random() * 54) }, () => Math.floor(random() * 256)));
+
+  return {
+    type,
+    secret: type === 'hex' || type === 'hhex' ? secret.toString('hex') : OTPGenerator.bufferToBase32(secret),
+    algorithm: pick(['SHA1', 'SHA256', 'SHA512']),
+    digits: 4 + Math.floor(random() * 7),
+    period: pick([15, 30, 60, 90, 3600]),
+    t0: pick([0, 0, 1000000000]),
+    counter: pick([0, Math.floor(random() * 1e6), Number.MAX_SAFE_INTEGER, '18446744073709551615'])
+  };
+}
+
+// The browser generator (public/otp-generator.js) must give the same codes as the server one
+describe('Browser OTP generator', () => {
+  describe('HOTP vectors', () => {
+    for (const vector of HOTP_VECTORS) {
+      for (const digits of CODE_LENGTHS) {
+        it(`${vector.source} ${vector.algorithm} counter ${vector.counter}, ${digits} digits`, async () => {
+          const otpData = { type: 'hhex', secret: vector.secret, algorithm: vector.algorithm, digits, counter: vector.counter };
+          const { code } = await BrowserOTP.generateCode(otpData, 0);
+          expect(code).to.equal(expectedCode(vector, digits));
+        });
+      }
+    }
+  });
+
+  describe('TOTP vectors', () => {
+    for (const vector of TOTP_VECTORS) {
+      for (const digits of CODE_LENGTHS) {
+        it(`${vector.source} ${vector.algorithm} time ${vector.time}, ${digits} digits`, async () => {
+          const otpData = { type: 'hex', secret: vector.secret, algorithm: vector.algorithm, digits, period: vector.period, t0: vector.t0 };
+          const { code } = await BrowserOTP.generateCode(otpData, vector.time);
+          expect(code).to.equal(expectedCode(vector, digits));
+        });
+      }
+    }
+  });
+
+  describe('Steam and Battle.net vectors', () => {
+    for (const vector of VENDOR_VECTORS) {
+      it(`${vector.type} time ${vector.time}`, async () => {
+        const { code } = await BrowserOTP.generateCode(vector, vector.time);
+        expect(code).to.equal(expectedVendorCode(vector));
+      });
+    }
+  });
+
+  describe('unlocked secret store', () => {
+    const entries = [
+      { id: 'a', otpData: { type: 'totp', secret: 'JBSWY3DPEHPK3PXP' } },
+      { id: 'b', otpData: { type: 'steam', secret: 'GEZDGNBVGY3TQOJQ' } }
+    ];
+
+    it('hands out secrets until expiresAt', () => {
+      const store = BrowserOTP.createSecretStore();
+      store.set(entries, 1000);
+
+      expect(store.get('a', 999)).to.deep.equal(entries[0].otpData);
+      expect(store.has('b', 999)).to.equal(true);
+      expect(store.has('c', 999)).to.equal(false);
+      expect(store.expiresAt(999)).to.equal(1000);
+    });
+
+    it('drops every secret at expiresAt without a timer', () => {
+      const store = BrowserOTP.createSecretStore();
+      store.set(entries, 1000);
+
+      expect(store.get('a', 1000)).to.equal(null);
+      expect(store.expiresAt(1000)).to.equal(null);
+      // Gone for good, not only hidden at that moment
+      expect(store.get('b', 0)).to.equal(null);
+    });
+
+    it('drops every secret on clear()', () => {
+      const store = BrowserOTP.createSecretStore();
+      store.set(entries, Date.now() + 60000);
+      store.clear();
+
+      expect(store.has('a')).to.equal(false);
+      expect(store.expiresAt()).to.equal(null);
+    });
+
+    it('keeps secrets without a deadline until clear()', () => {
+      const store = BrowserOTP.createSecretStore();
+      store.set(entries);
+
+      expect(store.has('a', Number.MAX_SAFE_INTEGER)).to.equal(true);
+      expect(store.expiresAt()).to.equal(null);
+    });
+
+    it('replaces the secrets and deadline of an earlier unlock', () => {
+      const store = BrowserOTP.createSecretStore();
+      store.set(entries, 1000);
+      store.set(entries.slice(1), 5000);
+
+      expect(store.has('a', 2000)).to.equal(false);
+      expect(store.has('b', 2000)).to.equal(true);
+    });
+  });
+
+  it(`matches the server generator on ${RANDOM_CASES} random entries (seed ${RANDOM_SEED})`, async function() {
+    this.timeout(60000);
+    const random = mulberry32(RANDOM_SEED);
+    const failures = [];
+
+    for (let i = 0; i < RANDOM_CASES; i++) {
+      const otpData = randomEntry(random);
+      const time = otpData.t0 + Math.floor(random() * 4e9);
+      const expected = otpData.type === 'hotp' || otpData.type === 'hhex'
+        ? OTPGenerator.generateHOTP(otpData).code
+        : OTPGenerator.generateCodeAt(otpData, time).code;
+
+      let actual;
+      try {
+        actual = (await BrowserOTP.generateCode(otpData, time)).code;
+      } catch (error) {
+        actual = `error: ${error.message}`;
+      }
+      if (actual !== expected) {
+        failures.push(`case ${i} ${JSON.stringify(otpData)} time ${time}: expected ${expected}, got ${actual}`);
+      }
+    }
+
+    expect(failures).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Known-answer vectors for the OTP generator
+ *
+ * The RFC 4226 appendix D and RFC 6238 appendix B vectors, recorded as the
+ * 31-bit dynamically truncated value so each vector checks every code length:
+ * the code for N digits is truncated mod 10^N, zero padded. The 64-bit and
+ * T0 vectors reuse the RFC seeds, as do the Steam and Battle.net vectors,
+ * which are HMAC-SHA1 over 30 second steps. OCRA vectors are RFC 6287 appendix C;
+ * mOTP and Yandex.Key have no specification, so theirs are the ones other
+ * authenticator apps test against.
+ *
+ * Streebog is checked against the GOST R 34.11-2012 example messages and the
+ * R 50.1.113-2016 HMAC vectors, digests written as byte strings (the standards
+ * print them as little-endian numbers). No GOST HOTP/TOTP vectors are
+ * published, so theirs are the truncated HMAC-Streebog of the counter under the
+ * R 50.1.113-2016 key.
+ */
+
+const SEEDS = {
+  SHA1: '3132333435363738393031323334353637383930',
+  SHA256: '3132333435363738393031323334353637383930313233343536373839303132',
+  SHA512: '3132333435363738393031323334353637383930313233343536373839303132'
+    + '3334353637383930313233343536373839303132333435363738393031323334'
+};
+
+// The RFC 4226 / 6238 SHA1 seed in Base32, for types that only take Base32 secrets
+const SEED_SHA1_BASE32 = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const STEAM_CHARS = '23456789BCDFGHJKMNPQRTVWXY';
+
+const CODE_LENGTHS = [6, 7, 8, 10];
+
+const RFC4226_TRUNCATED = [
+  1284755224, 1094287082, 137359152, 1726969429, 1640338314,
+  868254676, 1918287922, 82162583, 673399871, 645520489
+];
+
+const RFC6238_TRUNCATED = [
+  { time: 59, SHA1: 1094287082, SHA256: 746119246, SHA512: 490693936 },
+  { time: 1111111109, SHA1: 907081804, SHA256: 1568084774, SHA512: 225091201 },
+  { time: 1111111111, SHA1: 414050471, SHA256: 1167062674, SHA512: 1899943326 },
+  { time: 1234567890, SHA1: 689005924, SHA256: 91819424, SHA512: 1493441116 },
+  { time: 2000000000, SHA1: 2069279037, SHA256: 1790698825, SHA512: 1938618901 },
+  { time: 20000000000, SHA1: 1465353130, SHA256: 777737706, SHA512: 1047863826 }
+];
+
+// Counters above 2^53 - 1 are decimal strings
+const COUNTER_64_TRUNCATED = [
+  { counter: 4294967296, SHA1: 255999456, SHA256: 1466351443, SHA512: 782894678 },
+  { counter: 9007199254740991, SHA1: 1841891307, SHA256: 28822768, SHA512: 555766412 },
+  { counter: '9007199254740992', SHA1: 1886860690, SHA256: 871135145, SHA512: 1514910844 },
+  { counter: '18446744073709551615', SHA1: 1663094451, SHA256: 340635627, SHA512: 1344226760 }
+];
+
+const STREEBOG_VECTORS = [
+  {
+    name: 'M1',
+    message: Buffer.from('012345678901234567890123456789012345678901234567890123456789012'),
+    512: '1b54d01a4af5b9d5cc3d86d68d285462b19abc2475222f35c085122be4ba1ffa'
+      + '00ad30f8767b3a82384c6574f024c311e2a481332b08ef7f41797891c1646f48',
+    256: '9d151eefd8590b89daa6ba6cb74af9275dd051026bb149a452fd84e5e57b5500'
+  },
+  {
+    name: 'M2',
+    message: Buffer.from('d1e520e2e5f2f0e82c20d1f2f0e8e1eee6e820e2edf3f6e82c20e2e5fef2fa20f120ecee'
+      + 'f0ff20f1f2f0e5ebe0ece820ede020f5f0e0e1f0fbff20efebfaeafb20c8e3eef0e5e2fb', 'hex'),
+    512: '1e88e62226bfca6f9994f1f2d51569e0daf8475a3b0fe61a5300eee46d961376'
+      + '035fe83549ada2b8620fcd7c496ce5b33f0cb9dddc2b6460143b03dabac9fb28',
+    256: '9dd2fe4e90409e5da87f53976d7405b0c0cac628fc669a741d50063c557e8f50'
+  }
+];
+
+const HMAC_STREEBOG_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+
+const HMAC_STREEBOG_VECTORS = [
+  {
+    key: HMAC_STREEBOG_KEY,
+    data: '0126bdb87800af214341456563780100',
+    256: 'a1aa5f7de402d7b3d323f2991c8d4534013137010a83754fd0af6d7cd4922ed9',
+    512: 'a59bab22ecae19c65fbde6e5f4e9f5d8549d31f037f9df9b905500e171923a77'
+      + '3d5f1530f2ed7e964cb2eedc29e9ad2f3afe93b2814f79f5000ffc0366c251e6'
+  }
+];
+
+const GOST_HOTP_TRUNCATED = [
+  { counter: 0, GOST3411_2012_256: 158333758, GOST3411_2012_512: 1514064540 },
+  { counter: 1, GOST3411_2012_256: 688024, GOST3411_2012_512: 1922203358 },
+  { counter: '18446744073709551615', GOST3411_2012_256: 1663539114, GOST3411_2012_512: 1830327520 }
+];
+
+const GOST_TOTP_TRUNCATED = [
+  { time: 59, GOST3411_2012_256: 688024, GOST3411_2012_512: 1922203358 },
+  { time: 1111111109, GOST3411_2012_256: 1727761459, GOST3411_2012_512: 39655567 },
+  { time: 2000000000, GOST3411_2012_256: 152343018, GOST3411_2012_512: 248740511 }
+];
+
+const GOST_ALGORITHMS = ['GOST3411_2012_256', 'GOST3411_2012_512'];
+
+const HOTP_VECTORS = [
+  ...RFC4226_TRUNCATED.map((truncated, counter) => ({
+    source: 'RFC 4226',
+    algorithm: 'SHA1',
+    secret: SEEDS.SHA1,
+    counter: counter,
+    truncated: truncated
+  })),
+  ...COUNTER_64_TRUNCATED.flatMap(row => Object.keys(SEEDS).map(algorithm => ({
+    source: '64-bit counter',
+    algorithm: algorithm,
+    secret: SEEDS[algorithm],
+    counter: row.counter,
+    truncated: row[algorithm]
+  })))
+];
+
+// HMAC-Streebog is server-only, so these stay out of HOTP_VECTORS and TOTP_VECTORS
+const GOST_HOTP_VECTORS = GOST_HOTP_TRUNCATED.flatMap(row => GOST_ALGORITHMS.map(algorithm => ({
+  source: 'HMAC-Streebog',
+  algorithm: algorithm,
+  secret: HMAC_STREEBOG_KEY,
+  counter: row.counter,
+  truncated: row[algorithm]
+})));
+
+const TOTP_VECTORS = [
+  ...RFC6238_TRUNCATED.flatMap(row => Object.keys(SEEDS).map(algorithm => ({
+    source: 'RFC 6238',
+    algorithm: algorithm,
+    secret: SEEDS[algorithm],
+    time: row.time,
+    period: 30,
+    t0: 0,
+    truncated: row[algorithm]
+  }))),
+  // Shifting both the time and T0 must give the same step as the RFC vector
+  ...RFC6238_TRUNCATED.map(row => ({
+    source: 'T0 offset',
+    algorithm: 'SHA1',
+    secret: SEEDS.SHA1,
+    time: row.time + 1000000000,
+    period: 30,
+    t0: 1000000000,
+    truncated: row.SHA1
+  }))
+];
+
+const GOST_TOTP_VECTORS = GOST_TOTP_TRUNCATED.flatMap(row => GOST_ALGORITHMS.map(algorithm => ({
+  source: 'HMAC-Streebog',
+  algorithm: algorithm,
+  secret: HMAC_STREEBOG_KEY,
+  time: row.time,
+  period: 30,
+  t0: 0,
+  truncated: row[algorithm]
+})));
+
+const VENDOR_VECTORS = RFC6238_TRUNCATED.flatMap(row => ['steam', 'battle'].map(type => ({
+  source: 'RFC 6238',
+  type: type,
+  secret: SEED_SHA1_BASE32,
+  time: row.time,
+  truncated: row.SHA1
+})));
+
+const OCRA_PIN = '1234';
+// RFC 6287 timestamps are given in steps: T = 0x132d0b6 minutes
+const OCRA_TIMESTAMP = 0x132d0b6 * 60;
+
+const ocraRows = (suite, secret, inputs, codes) => codes.map((code, i) => ({
+  source: 'RFC 6287',
+  suite: suite,
+  secret: secret,
+  input: inputs(i),
+  code: code
+}));
+
+const OCRA_VECTORS = [
+  ...ocraRows('OCRA-1:HOTP-SHA1-6:QN08', SEEDS.SHA1,
+    i => ({ challenge: String(i).repeat(8) }),
+    ['237653', '243178', '653583', '740991', '608993', '388898', '816933', '224598', '750600', '294470']),
+  ...ocraRows('OCRA-1:HOTP-SHA256-8:C-QN08-PSHA1', SEEDS.SHA256,
+    i => ({ challenge: '12345678', counter: i, password: OCRA_PIN }),
+    ['65347737', '86775851', '78192410', '71565254', '10104329', '65983500', '70069104', '91771096', '75011558', '08522129']),
+  ...ocraRows('OCRA-1:HOTP-SHA256-8:QN08-PSHA1', SEEDS.SHA256,
+    i => ({ challenge: String(i).repeat(8), password: OCRA_PIN }),
+    ['83238735', '01501458', '17957585', '86776967', '86807031']),
+  ...ocraRows('OCRA-1:HOTP-SHA512-8:C-QN08', SEEDS.SHA512,
+    i => ({ challenge: String(i).repeat(8), counter: i }),
+    ['07016083', '63947962', '70123924', '25341727', '33203315', '34205738', '44343969', '51946085', '20403879', '31409299']),
+  ...ocraRows('OCRA-1:HOTP-SHA512-8:QN08-T1M', SEEDS.SHA512,
+    i => ({ challenge: String(i).repeat(8), timestamp: OCRA_TIMESTAMP }),
+    ['95209754', '55907591', '22048402', '24218844', '36209546']),
+  // Mutual challenge-response, server then client computation
+  ...ocraRows('OCRA-1:HOTP-SHA256-8:QA08', SEEDS.SHA256,
+    i => ({ challenge: `CLI2222${i}SRV1111${i}` }),
+    ['28247970', '01984843', '65387857', '03351211', '83412541']),
+  ...ocraRows('OCRA-1:HOTP-SHA256-8:QA08', SEEDS.SHA256,
+    i => ({ challenge: `SRV1111${i}CLI2222${i}` }),
+    ['15510767', '90175646', '33777207', '95285278', '28934924']),
+  ...ocraRows('OCRA-1:HOTP-SHA512-8:QA08', SEEDS.SHA512,
+    i => ({ challenge: `CLI2222${i}SRV1111${i}` }),
+    ['79496648', '76831980', '12250499', '90856481', '12761449']),
+  ...ocraRows('OCRA-1:HOTP-SHA512-8:QA08-PSHA1', SEEDS.SHA512,
+    i => ({ challenge: `SRV1111${i}CLI2222${i}`, password: OCRA_PIN }),
+    ['18806276', '70020315', '01600026', '18951020', '32528969']),
+  // Plain signature
+  ...ocraRows('OCRA-1:HOTP-SHA256-8:QA08', SEEDS.SHA256,
+    i => ({ challenge: `SIG1${i}000` }),
+    ['53095496', '04110475', '31331128', '76028668', '46554205']),
+  ...ocraRows('OCRA-1:HOTP-SHA512-8:QA10-T1M', SEEDS.SHA512,
+    i => ({ challenge: `SIG1${i}00000`, timestamp: OCRA_TIMESTAMP }),
+    ['77537423', '31970405', '10235557', '95213541', '65360607'])
+];
+
+const TIME_PIN_VECTORS = [
+  { type: 'motp', secret: 'e3152afee62599c8', pin: '1234', time: 165892298, code: 'e7d8b6' },
+  { type: 'motp', secret: 'e3152afee62599c8', pin: '1234', time: 123456789, code: '4ebfb2' },
+  { type: 'yandex', secret: '6SB2IKNM6OBZPAVBVTOHDKS4FAAAAAAADFUTQMBTRY', pin: '5239', time: 1641559648, code: 'umozdicq' },
+  { type: 'yandex', secret: 'LA2V6KMCGYMWWVEW64RNP3JA3IAAAAAAHTSG4HRZPI', pin: '7586', time: 1581064020, code: 'oactmacq' },
+  { type: 'yandex', secret: 'LA2V6KMCGYMWWVEW64RNP3JA3IAAAAAAHTSG4HRZPI', pin: '7586', time: 1581090810, code: 'wemdwrix' },
+  { type: 'yandex', secret: 'JBGSAU4G7IEZG6OY4UAXX62JU4AAAAAAHTSG4HXU3M', pin: '5210481216086702', time: 1581091469, code: 'dfrpywob' },
+  { type: 'yandex', secret: 'JBGSAU4G7IEZG6OY4UAXX62JU4AAAAAAHTSG4HXU3M', pin: '5210481216086702', time: 1581093059, code: 'vunyprpd' }
+];
+
+/**
+ * Expected code for a vector at a given length
+ * @param {Object} vector - HOTP or TOTP vector
+ * @param {number} digits - Code length
+ * @returns {string} - Zero padded code
+ */
+function expectedCode(vector, digits) {
+  return (vector.truncated % Math.pow(10, digits)).toString().padStart(digits, '0');
+}
+
+/**
+ * Expected code for a Steam or Battle.net vector
+ * @param {Object} vector - Vendor vector
+ * @returns {string} - Five Steam characters, or eight Battle.net digits
+ */
+function expectedVendorCode(vector) {
+  if (vector.type === 'battle') {
+    return expectedCode(vector, 8);
+  }
+
+  let code = '';
+  let value = vector.truncated;
+  for (let i = 0; i < 5; i++) {
+    code += STEAM_CHARS[value % STEAM_CHARS.length];
+    value = Math.floor(value / STEAM_CHARS.length);
+  }
+  return code;
+}
+
+module.exports = {
+  CODE_LENGTHS,
+  STREEBOG_VECTORS,
+  HMAC_STREEBOG_VECTORS,
+  HOTP_VECTORS,
+  TOTP_VECTORS,
+  GOST_HOTP_VECTORS,
+  GOST_TOTP_VECTORS,
+  VENDOR_VECTORS,
+  OCRA_VECTORS,
+  TIME_PIN_VECTORS,
+  expectedCode,
+  expectedVendorCode
+};
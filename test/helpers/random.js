@@ -0,0 +1,26 @@
+/**
+ * Small seeded PRNG (mulberry32) so randomized test failures can be replayed
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Read a positive integer from the environment, for replaying a seed
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset
+ * @returns {number}
+ */
+function envInteger(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isSafeInteger(value) && value > 0 ? value : fallback;
+}
+
+module.exports = { mulberry32, envInteger };
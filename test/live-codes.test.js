@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+const LiveCodes = require('../services/live-codes');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+// Just enough of an OTPEntry document for LiveCodes.prepare()
+function fakeEntry(id, otpData, options = {}) {
+  return {
+    _id: id,
+    clientEncrypted: false,
+    otpConfig: { type: otpData.type },
+    getOTPData: options.decryptError
+      ? () => { throw new Error('No OTP encryption key configured for version 1'); }
+      : () => ({ algorithm: 'SHA1', digits: 6, period: 30, t0: 0, counter: 0, ...otpData })
+  };
+}
+
+describe('LiveCodes', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = console.error;
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.error = consoleError;
+  });
+
+  it('reports broken entries on their own and keeps the codes of the others', () => {
+    const prepared = LiveCodes.prepare([
+      fakeEntry('totp', { type: 'totp', secret: SECRET }),
+      fakeEntry('retired-key', { type: 'totp', secret: SECRET }, { decryptError: true }),
+      fakeEntry('short-yandex', { type: 'yandex', secret: SECRET, pin: '1234' }),
+      fakeEntry('hotp', { type: 'hotp', secret: SECRET, counter: 1 })
+    ]);
+
+    const snapshots = LiveCodes.snapshotAll(prepared, 59000);
+    const byId = Object.fromEntries(snapshots.map(snapshot => [snapshot.id, snapshot]));
+
+    expect(snapshots).to.have.lengthOf(4);
+    expect(byId.totp.code).to.match(/^\d{6}$/);
+    expect(byId.hotp.code).to.match(/^\d{6}$/);
+    expect(byId['retired-key']).to.deep.equal({ id: 'retired-key', type: 'totp', code: null, error: 'DECRYPTION_ERROR' });
+    expect(byId['short-yandex']).to.deep.equal({ id: 'short-yandex', type: 'yandex', code: null, error: 'GENERATION_ERROR' });
+  });
+
+  it('schedules the next push from the entries that have codes', () => {
+    const prepared = LiveCodes.prepare([
+      fakeEntry('totp', { type: 'totp', secret: SECRET }),
+      fakeEntry('retired-key', { type: 'totp', secret: SECRET }, { decryptError: true })
+    ]);
+
+    const snapshots = LiveCodes.snapshotAll(prepared, 59000);
+    expect(LiveCodes.msUntilNextChange(snapshots, 59000)).to.equal(1000);
+  });
+
+  it('leaves out client-encrypted and OCRA entries', () => {
+    const vault = { ...fakeEntry('vault', { type: 'totp', secret: 'ciphertext' }), clientEncrypted: true };
+    const ocra = fakeEntry('ocra', { type: 'ocra', secret: SECRET });
+
+    expect(LiveCodes.prepare([vault, ocra])).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const OTPEntry = require('../models/OTPEntry');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const OTP_DATA = {
+  issuer: 'Example',
+  account: 'alice@example.com',
+  originalUrl: 'otpauth://totp/Example:alice@example.com?secret=JBSWY3DPEHPK3PXP&issuer=Example'
+};
+
+// Equality, $in and $or: the operators findDuplicate uses
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(clause => matches(doc, clause));
+    if (condition && condition.$in) return condition.$in.includes(doc[key]);
+    return doc[key] === condition;
+  });
+}
+
+function storedEntry(fields) {
+  return {
+    _id: fields._id,
+    userId: USER_ID,
+    serviceName: OTP_DATA.issuer,
+    accountName: OTP_DATA.account,
+    originalUrl: OTP_DATA.originalUrl,
+    originalUrlHash: null,
+    isActive: true,
+    ...fields
+  };
+}
+
+describe('OTPEntry.findDuplicate', () => {
+  const findOne = OTPEntry.findOne;
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    OTPEntry.findOne = async filter => stored.find(doc => matches(doc, filter)) || null;
+  });
+
+  afterEach(() => {
+    OTPEntry.findOne = findOne;
+  });
+
+  it('finds an active entry by URL or by service and account', async () => {
+    stored.push(storedEntry({ _id: 'same-url', serviceName: 'Renamed', accountName: 'renamed' }));
+    expect((await OTPEntry.findDuplicate(USER_ID, OTP_DATA))._id).to.equal('same-url');
+
+    stored = [storedEntry({ _id: 'same-account', originalUrl: 'otpauth://totp/Old?secret=JBSWY3DPEHPK3PXP' })];
+    expect((await OTPEntry.findDuplicate(USER_ID, OTP_DATA))._id).to.equal('same-account');
+  });
+
+  it('lets an account be added again after its entry was deleted', async () => {
+    stored.push(storedEntry({ _id: 'deleted', isActive: false }));
+    expect(await OTPEntry.findDuplicate(USER_ID, OTP_DATA)).to.equal(null);
+
+    // Once added again, the new entry is the duplicate
+    stored.push(storedEntry({ _id: 're-added' }));
+    expect((await OTPEntry.findDuplicate(USER_ID, OTP_DATA))._id).to.equal('re-added');
+  });
+
+  it('ignores the entries of other users', async () => {
+    stored.push(storedEntry({ _id: 'other-user', userId: '507f191e810c19729de860ea' }));
+    expect(await OTPEntry.findDuplicate(USER_ID, OTP_DATA)).to.equal(null);
+  });
+});
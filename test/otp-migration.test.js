@@ -0,0 +1,184 @@
+const { expect } = require('chai');
+const { parseMigrationUrl, OTPParseError } = require('../lib/otp-parser');
+const {
+  decodeMigrationPayload,
+  encodeMigrationPayload,
+  extractMigrationData,
+  toOtpParameters,
+  buildMigrationUrls
+} = require('../lib/otp-migration');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+// One TOTP account "Example:alice@google.com" (secret "Hello!\xde\xad\xbe\xef"), batch 0 of 1
+const EXAMPLE_URL = 'otpauth-migration://offline?data=' +
+  'CjEKCkhlbGxvId6tvu8SGEV4YW1wbGU6YWxpY2VAZ29vZ2xlLmNvbRoHRXhhbXBsZSABKAEwAhABGAEgACjr4JHoBw%3D%3D';
+
+function migrationUrl(buffer) {
+  return `otpauth-migration://offline?data=${encodeURIComponent(buffer.toString('base64'))}`;
+}
+
+function rawParameters(overrides) {
+  return {
+    secret: Buffer.from('Hello!'),
+    name: 'Example:alice',
+    issuer: 'Example',
+    algorithm: 1,
+    digits: 1,
+    type: 2,
+    ...overrides
+  };
+}
+
+describe('Google Authenticator migration codec', () => {
+  describe('import', () => {
+    it('decodes a Google Authenticator export', () => {
+      const result = parseMigrationUrl(EXAMPLE_URL);
+
+      expect(result.valid).to.equal(true);
+      expect(result.version).to.equal(1);
+      expect(result.batch).to.deep.equal({ index: 0, size: 1, id: 2097442923 });
+      expect(result.entries).to.have.lengthOf(1);
+      expect(result.entries[0]).to.include({
+        type: 'totp',
+        label: 'Example:alice@google.com',
+        issuer: 'Example',
+        account: 'alice@google.com',
+        secret: SECRET,
+        algorithm: 'SHA1',
+        digits: 6,
+        period: 30,
+        counter: 0,
+        valid: true
+      });
+    });
+
+    it('reports truncated payloads', () => {
+      const data = extractMigrationData(EXAMPLE_URL);
+
+      [10, 30, data.length - 1].forEach((length) => {
+        const result = parseMigrationUrl(migrationUrl(data.subarray(0, length)));
+        expect(result.valid).to.equal(false);
+        expect(result.code).to.equal(OTPParseError.INVALID_MIGRATION);
+        expect(result.error).to.match(/^Malformed migration payload: Truncated/);
+      });
+    });
+
+    it('reports garbage and empty payloads', () => {
+      const garbage = [
+        Buffer.from('ffffffffffffffffffffff', 'hex'),
+        Buffer.from('0a7f00', 'hex'),
+        Buffer.from('not a protobuf')
+      ];
+      garbage.forEach((data) => {
+        let result;
+        expect(() => { result = parseMigrationUrl(migrationUrl(data)); }).to.not.throw();
+        expect(result.valid).to.equal(false);
+        expect(result.code).to.equal(OTPParseError.INVALID_MIGRATION);
+      });
+
+      expect(parseMigrationUrl('otpauth-migration://offline?data=')).to.include({
+        valid: false,
+        code: OTPParseError.INVALID_MIGRATION
+      });
+      expect(parseMigrationUrl(migrationUrl(encodeMigrationPayload({ otpParameters: [] })))).to.include({
+        valid: false,
+        code: OTPParseError.INVALID_MIGRATION,
+        error: 'The migration payload has no accounts'
+      });
+    });
+
+    it('reports accounts with unknown algorithms, digit counts or types on their own', () => {
+      const data = encodeMigrationPayload({
+        otpParameters: [
+          rawParameters({ name: 'Example:md5', algorithm: 4 }),
+          rawParameters({ name: 'Example:future', algorithm: 9 }),
+          rawParameters({ name: 'Example:seven', digits: 3 }),
+          rawParameters({ name: 'Example:unknown', type: 7 }),
+          rawParameters({ name: 'Example:fine' })
+        ]
+      });
+      const result = parseMigrationUrl(migrationUrl(data));
+
+      expect(result.valid).to.equal(true);
+      expect(result.entries.map(entry => [entry.account, entry.valid, entry.error])).to.deep.equal([
+        ['md5', false, 'Unsupported algorithm in migration payload: 4'],
+        ['future', false, 'Unsupported algorithm in migration payload: 9'],
+        ['seven', false, 'Unsupported digit count in migration payload: 3'],
+        ['unknown', false, 'Unsupported OTP type in migration payload: 7'],
+        ['fine', true, undefined]
+      ]);
+      expect(result.entries[0].label).to.equal('Example:md5');
+    });
+  });
+
+  describe('export', () => {
+    const entries = [
+      { type: 'totp', issuer: 'Example', account: 'alice@example.com', secret: SECRET, algorithm: 'SHA1', digits: 6 },
+      { type: 'totp', issuer: '', account: 'no-issuer', secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', algorithm: 'SHA256', digits: 8 },
+      { type: 'totp', issuer: 'Ünïcødé 例', account: 'ü ser', secret: SECRET, algorithm: 'SHA512', digits: 6 },
+      { type: 'hotp', issuer: 'Bank', account: 'card', secret: SECRET, algorithm: 'SHA1', digits: 6, counter: 42 },
+      { type: 'hotp', issuer: 'Token', account: 'max', secret: SECRET, algorithm: 'SHA1', digits: 8, counter: '18446744073709551615' }
+    ];
+
+    it('imports exported entries unchanged', () => {
+      const urls = buildMigrationUrls(entries.map(toOtpParameters));
+      expect(urls).to.have.lengthOf(1);
+
+      const result = parseMigrationUrl(urls[0].url);
+      expect(result.valid).to.equal(true);
+      expect(result.entries).to.have.lengthOf(entries.length);
+
+      result.entries.forEach((imported, i) => {
+        const original = entries[i];
+        expect(imported.valid, imported.error).to.equal(true);
+        expect(imported.type).to.equal(original.type);
+        expect(imported.issuer).to.equal(original.issuer);
+        expect(imported.account).to.equal(original.account);
+        expect(imported.secret).to.equal(original.secret);
+        expect(imported.algorithm).to.equal(original.algorithm);
+        expect(imported.digits).to.equal(original.digits);
+        expect(imported.counter).to.equal(original.counter || 0);
+      });
+    });
+
+    it('splits larger exports into batches of one export', () => {
+      const many = Array.from({ length: 25 }, (_, i) => ({ ...entries[0], account: `user${i}` }));
+      const urls = buildMigrationUrls(many.map(toOtpParameters), { batchSize: 10, seed: 'export-1' });
+
+      expect(urls.map(batch => batch.count)).to.deep.equal([10, 10, 5]);
+      expect(urls.map(batch => batch.batchIndex)).to.deep.equal([0, 1, 2]);
+
+      const accounts = [];
+      urls.forEach((batch, index) => {
+        const payload = decodeMigrationPayload(extractMigrationData(batch.url));
+        expect(payload.version).to.equal(1);
+        expect(payload.batchSize).to.equal(3);
+        expect(payload.batchIndex).to.equal(index);
+        expect(payload.batchId).to.equal(urls[0].batchId);
+
+        const result = parseMigrationUrl(batch.url);
+        expect(result.batch).to.deep.equal({ index, size: 3, id: urls[0].batchId });
+        accounts.push(...result.entries.map(entry => entry.account));
+      });
+      expect(accounts).to.deep.equal(many.map(entry => entry.account));
+    });
+
+    it('gives the batches of one export the same id, derived from the seed', () => {
+      const params = entries.map(toOtpParameters);
+      const first = buildMigrationUrls(params, { batchSize: 2, seed: 'export-1' });
+      const again = buildMigrationUrls(params, { batchSize: 2, seed: 'export-1' });
+      const other = buildMigrationUrls(params, { batchSize: 2, seed: 'export-2' });
+
+      expect(new Set(first.map(batch => batch.batchId)).size).to.equal(1);
+      expect(again[0].batchId).to.equal(first[0].batchId);
+      expect(other[0].batchId).to.not.equal(first[0].batchId);
+    });
+
+    it('refuses entries Google Authenticator cannot hold', () => {
+      expect(toOtpParameters({ ...entries[0], period: 60 }).error).to.match(/Period of 60 seconds/);
+      expect(toOtpParameters({ ...entries[0], digits: 7 }).error).to.match(/7-digit codes/);
+      expect(toOtpParameters({ ...entries[0], type: 'steam' }).error).to.match(/OTP type steam/);
+    });
+  });
+});
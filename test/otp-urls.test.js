@@ -0,0 +1,155 @@
+const { expect } = require('chai');
+const {
+  parseOTPAuth,
+  buildStandardOTPUrl,
+  buildOTPAuthUrl,
+  OTPParseError
+} = require('../lib/otp-parser');
+const {
+  ACCEPTED_URLS,
+  REJECTED_URLS,
+  ROUND_TRIP_ENTRIES,
+  FUZZ_FRAGMENTS
+} = require('./fixtures/otp-url-corpus');
+const { mulberry32, envInteger } = require('./helpers/random');
+
+// Replay a failing run with URL_FUZZ_SEED=<seed> npm test
+const FUZZ_ITERATIONS = envInteger('URL_FUZZ_ITERATIONS', 5000);
+const FUZZ_SEED = envInteger('URL_FUZZ_SEED', 0x0ddba11);
+
+/**
+ * @returns {string|null} - What is wrong with a parse result, or null
+ */
+function checkFuzzResult(result) {
+  if (!result.valid) {
+    return Object.values(OTPParseError).includes(result.code) && typeof result.error === 'string'
+      ? null
+      : `rejected without a known code: ${JSON.stringify(result)}`;
+  }
+
+  return roundTripProblem(result, buildStandardOTPUrl(result));
+}
+
+/**
+ * @returns {string|null} - Fields that parsing the URL does not give back, or null
+ */
+function roundTripProblem(otpData, url, overrides = {}) {
+  const rebuilt = parseOTPAuth(url);
+  if (!rebuilt.valid) {
+    return `${url} rejected: ${rebuilt.error}`;
+  }
+
+  const expected = { ...otpData, ...overrides };
+  const fields = ['type', 'issuer', 'account', 'secret', ...roundTripFields(expected.type)];
+  const changed = fields.filter(field => rebuilt[field] !== expected[field]);
+  return changed.length === 0 ? null : `round trip through ${url} changed ${changed.join(', ')}`;
+}
+
+// Fields buildStandardOTPUrl writes for each type
+function roundTripFields(type) {
+  switch (type) {
+    case 'ocra':
+      return ['ocraSuite', 'counter'];
+    case 'motp':
+    case 'yandex':
+      return ['pinLength'];
+    case 'hotp':
+    case 'hhex':
+      return ['algorithm', 'digits', 'counter'];
+    case 'totp':
+    case 'hex':
+      return ['algorithm', 'digits', 'period', 't0'];
+    default:
+      return ['algorithm', 'digits', 'period'];
+  }
+}
+
+/**
+ * Apply one to three random edits to a URL
+ */
+function mutate(url, random) {
+  const pick = length => Math.floor(random() * length);
+  const edits = 1 + pick(3);
+
+  for (let i = 0; i < edits; i++) {
+    const at = pick(url.length + 1);
+    switch (pick(5)) {
+      case 0:
+        url = url.slice(0, at) + FUZZ_FRAGMENTS[pick(FUZZ_FRAGMENTS.length)] + url.slice(at);
+        break;
+      case 1:
+        url = url.slice(0, at) + url.slice(at + 1 + pick(8));
+        break;
+      case 2:
+        url = url.slice(0, at) + url.slice(pick(url.length), pick(url.length)) + url.slice(at);
+        break;
+      case 3:
+        url = url.slice(0, at) + String.fromCharCode(pick(0x80)) + url.slice(at + 1);
+        break;
+      default:
+        url = url.slice(0, at) + url.slice(at).toUpperCase();
+    }
+  }
+
+  return url;
+}
+
+describe('otpauth:// parser', () => {
+  describe('accepted URLs', () => {
+    for (const { url, expect: fields } of ACCEPTED_URLS) {
+      it(url, () => {
+        const result = parseOTPAuth(url);
+        expect(result.valid, result.error).to.equal(true);
+        for (const [key, value] of Object.entries(fields)) {
+          if (key === 'warnings') {
+            expect(result.warnings, 'warnings').to.have.lengthOf(value);
+          } else {
+            expect(result[key], key).to.deep.equal(value);
+          }
+        }
+      });
+    }
+  });
+
+  describe('rejected URLs', () => {
+    for (const { url, code } of REJECTED_URLS) {
+      it(`${JSON.stringify(url)} (${code})`, () => {
+        const result = parseOTPAuth(url);
+        expect(result.valid).to.equal(false);
+        expect(result.code).to.equal(code);
+      });
+    }
+  });
+
+  describe('saved entries', () => {
+    ROUND_TRIP_ENTRIES.forEach(({ entry, expect: overrides }, index) => {
+      it(`#${index} ${entry.type} ${JSON.stringify(entry.issuer)}:${JSON.stringify(entry.account)} survives buildOTPAuthUrl`, () => {
+        const url = buildOTPAuthUrl({ getOTPData: () => entry });
+        expect(roundTripProblem(entry, url, overrides)).to.equal(null);
+      });
+    });
+  });
+
+  // Every mutated URL must parse to an entry that round-trips, or be rejected
+  // with a known code; the parser must never throw
+  it(`survives ${FUZZ_ITERATIONS} mutated URLs (seed ${FUZZ_SEED})`, () => {
+    const random = mulberry32(FUZZ_SEED);
+    const seeds = ACCEPTED_URLS.map(({ url }) => url);
+    const failures = [];
+
+    for (let i = 0; i < FUZZ_ITERATIONS; i++) {
+      const url = mutate(seeds[Math.floor(random() * seeds.length)], random);
+      let problem;
+      try {
+        problem = checkFuzzResult(parseOTPAuth(url));
+      } catch (error) {
+        problem = `threw ${error.message}`;
+      }
+      if (problem) {
+        failures.push(`fuzz case ${i} ${JSON.stringify(url)}: ${problem}`);
+      }
+    }
+
+    expect(failures).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const OTPGenerator = require('../services/otp-generator');
+const { streebog, hmacStreebog } = require('../lib/streebog');
+const {
+  CODE_LENGTHS,
+  STREEBOG_VECTORS,
+  HMAC_STREEBOG_VECTORS,
+  HOTP_VECTORS,
+  TOTP_VECTORS,
+  GOST_HOTP_VECTORS,
+  GOST_TOTP_VECTORS,
+  VENDOR_VECTORS,
+  OCRA_VECTORS,
+  TIME_PIN_VECTORS,
+  expectedCode,
+  expectedVendorCode
+} = require('./fixtures/otp-test-vectors');
+
+// Known-answer vectors for the server generator (see test/fixtures/otp-test-vectors.js)
+describe('OTPGenerator known-answer vectors', () => {
+  describe('Streebog (GOST R 34.11-2012, R 50.1.113-2016)', () => {
+    for (const vector of STREEBOG_VECTORS) {
+      for (const bits of [256, 512]) {
+        it(`${vector.name}, ${bits}-bit digest`, () => {
+          expect(streebog(vector.message, bits).toString('hex')).to.equal(vector[bits]);
+        });
+      }
+    }
+
+    for (const vector of HMAC_STREEBOG_VECTORS) {
+      for (const bits of [256, 512]) {
+        it(`HMAC_GOSTR3411_2012_${bits}`, () => {
+          const mac = hmacStreebog(Buffer.from(vector.key, 'hex'), Buffer.from(vector.data, 'hex'), bits);
+          expect(mac.toString('hex')).to.equal(vector[bits]);
+        });
+      }
+    }
+  });
+
+  describe('HOTP (RFC 4226, 64-bit counters and HMAC-Streebog)', () => {
+    for (const vector of [...HOTP_VECTORS, ...GOST_HOTP_VECTORS]) {
+      for (const digits of CODE_LENGTHS) {
+        it(`${vector.source} ${vector.algorithm} counter ${vector.counter}, ${digits} digits`, () => {
+          const { code } = OTPGenerator.generateHOTP({
+            type: 'hhex',
+            secret: vector.secret,
+            algorithm: vector.algorithm,
+            digits: digits,
+            counter: vector.counter
+          });
+          expect(code).to.equal(expectedCode(vector, digits));
+        });
+      }
+    }
+  });
+
+  describe('TOTP (RFC 6238, custom T0 and HMAC-Streebog)', () => {
+    for (const vector of [...TOTP_VECTORS, ...GOST_TOTP_VECTORS]) {
+      for (const digits of CODE_LENGTHS) {
+        it(`${vector.source} ${vector.algorithm} time ${vector.time}, ${digits} digits`, () => {
+          const { code } = OTPGenerator.generateTOTP({
+            type: 'hex',
+            secret: vector.secret,
+            algorithm: vector.algorithm,
+            digits: digits,
+            period: vector.period,
+            t0: vector.t0
+          }, vector.time);
+          expect(code).to.equal(expectedCode(vector, digits));
+        });
+      }
+    }
+  });
+
+  describe('Steam and Battle.net', () => {
+    for (const vector of VENDOR_VECTORS) {
+      it(`${vector.type} time ${vector.time}`, () => {
+        const { code } = OTPGenerator.generateCodeAt(vector, vector.time);
+        expect(code).to.equal(expectedVendorCode(vector));
+      });
+    }
+  });
+
+  describe('OCRA (RFC 6287)', () => {
+    for (const vector of OCRA_VECTORS) {
+      it(`${vector.suite} challenge ${vector.input.challenge}`, () => {
+        const { code } = OTPGenerator.generateOCRA({
+          type: 'ocra',
+          secret: OTPGenerator.bufferToBase32(Buffer.from(vector.secret, 'hex')),
+          ocraSuite: vector.suite
+        }, vector.input);
+        expect(code).to.equal(vector.code);
+      });
+    }
+
+    it('advances the counter of C suites', () => {
+      const vector = OCRA_VECTORS.find(row => row.input.counter === 9);
+      const { nextCounter } = OTPGenerator.generateOCRA({
+        type: 'ocra',
+        secret: OTPGenerator.bufferToBase32(Buffer.from(vector.secret, 'hex')),
+        ocraSuite: vector.suite
+      }, vector.input);
+      expect(nextCounter).to.equal(10);
+    });
+  });
+
+  describe('mOTP and Yandex.Key', () => {
+    for (const vector of TIME_PIN_VECTORS) {
+      it(`${vector.type} time ${vector.time}`, () => {
+        const { code } = OTPGenerator.generateCodeAt(vector, vector.time);
+        expect(code).to.equal(vector.code);
+      });
+    }
+  });
+
+  describe('counter range', () => {
+    it('advances counters past 2^53 - 1 as decimal strings', () => {
+      expect(OTPGenerator.offsetCounter(Number.MAX_SAFE_INTEGER, 1)).to.equal('9007199254740992');
+      expect(OTPGenerator.offsetCounter('18446744073709551614', 1)).to.equal('18446744073709551615');
+    });
+
+    it('stops at 2^64 - 1', () => {
+      expect(OTPGenerator.offsetCounter('18446744073709551615', 1)).to.equal(null);
+      expect(OTPGenerator.isValidCounter('18446744073709551616')).to.equal(false);
+    });
+
+    it('rejects negative, fractional and imprecise counters', () => {
+      [-1, 1.5, 2 ** 60, '1e3', ''].forEach((counter) => {
+        expect(OTPGenerator.isValidCounter(counter)).to.equal(false);
+      });
+    });
+  });
+});